@@ -1,5 +1,65 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  createContext,
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useContext,
+  useState,
+} from "react";
 import styles from "./App.module.css";
+import {
+  LOCALES,
+  DEFAULT_LOCALE,
+  detectLocale,
+  translate,
+  getVoiceGrammar,
+  getSpeechLang,
+} from "./i18n/index.js";
+import { parseVoiceCommand, normalizeSpeechText } from "./voiceCommands.js";
+import { getPersonHand } from "./fingerCounting.js";
+import {
+  MEDIAPIPE_HANDS_ASSET_BASE,
+  prefetchHandsAssets,
+} from "./mediapipeAssets.js";
+import {
+  DEFAULT_GESTURE_BINDINGS,
+  GESTURE_COMMANDS,
+  GESTURE_POSES,
+  findGestureConflicts,
+  fingersPose,
+  getBoundMotionGestures,
+  getBoundNamedPoses,
+  getCommandOption,
+  getPoseFingerCount,
+  getRequiredHands,
+  resolveGestureCommand,
+  sanitizeGestureBindings,
+} from "./gestureBindings.js";
+import {
+  CALIBRATION_GESTURES,
+  CALIBRATION_SAMPLES_PER_GESTURE,
+  CALIBRATION_SCHEMA_VERSION,
+  isCalibrationComplete,
+  normalizeHandLandmarks,
+} from "./gestureCalibration.js";
+import {
+  MOTION_GESTURE_SETTINGS,
+  MOTION_SENSITIVITIES,
+  getMotionGestureSettings,
+} from "./motionGestures.js";
+import { createGestureFrameProcessor } from "./gesturePipeline.js";
+import { drawHands } from "./handDrawing.js";
+import {
+  SPEECH_BACKENDS,
+  DEFAULT_SPEECH_BACKEND,
+  isSpeechBackendSupported,
+  resolveSpeechBackend,
+  createRecognizer,
+  getLocalVocabulary,
+  recordVoiceTemplate,
+} from "./recognition/index.js";
 
 // 👋 Demo: Trivia Multisensorial Accesible (Visual + Auditivo + Háptico)
 // - Sin dependencias externas (usa Web Audio API + Web Speech API + Vibration API)
@@ -59,245 +119,845 @@ function useAudioEngine() {
 // =====================
 // Utilidades de Voz (TTS)
 // =====================
-function speak(text) {
-  if (!("speechSynthesis" in window)) return;
-  const utter = new SpeechSynthesisUtterance(text);
-  utter.lang = "es-ES"; // Español
-  utter.rate = 1; // Velocidad normal
-  window.speechSynthesis.cancel();
-  window.speechSynthesis.speak(utter);
+// Ajustes compartidos por todas las llamadas a speak(); App los sincroniza
+// con el idioma y las preferencias de voz del usuario
+const speechSettings = {
+  lang: getSpeechLang(DEFAULT_LOCALE),
+  voiceURI: "", // "" = voz por defecto del navegador
+  rate: 1, // Velocidad normal
+  pitch: 1,
+  volume: 1,
+};
+
+// Límites de los controles de voz (los mismos que admite la Web Speech API en la práctica)
+const SPEECH_RANGES = {
+  speechRate: { min: 0.5, max: 2, step: 0.1 },
+  speechPitch: { min: 0, max: 2, step: 0.1 },
+  speechVolume: { min: 0, max: 1, step: 0.1 },
+};
+
+function configureSpeech(settings) {
+  Object.assign(speechSettings, settings);
 }
 
-// =====================
-// Utilidades de Reconocimiento de Voz
-// =====================
-function useVoiceRecognition() {
-  const [isListening, setIsListening] = useState(false);
-  const [transcript, setTranscript] = useState("");
-  const [isSupported, setIsSupported] = useState(false);
-  const [shouldListen, setShouldListen] = useState(false); // Control para escucha continua
-  const recognitionRef = useRef(null);
+// Solo se usa la voz elegida si es del idioma activo; si no, la del navegador
+function findSpeechVoice(voiceURI, lang) {
+  if (!voiceURI) return null;
+  const voice = window.speechSynthesis
+    .getVoices()
+    .find((candidate) => candidate.voiceURI === voiceURI);
+  return voice && voiceMatchesLang(voice, lang) ? voice : null;
+}
 
-  useEffect(() => {
-    // Verificar soporte para Web Speech API
-    const SpeechRecognition =
-      window.SpeechRecognition || window.webkitSpeechRecognition;
-
-    if (SpeechRecognition) {
-      setIsSupported(true);
-      const recognition = new SpeechRecognition();
-
-      recognition.continuous = false; // Mantenemos false para controlar mejor el reinicio
-      recognition.interimResults = true;
-      recognition.lang = "es-ES";
-      recognition.maxAlternatives = 1;
-
-      recognition.onstart = () => {
-        console.log("🎤 Reconocimiento de voz iniciado");
-        setIsListening(true);
-        setTranscript("");
-      };
+function voiceMatchesLang(voice, lang) {
+  return voice.lang.slice(0, 2).toLowerCase() === lang.slice(0, 2).toLowerCase();
+}
 
-      recognition.onresult = (event) => {
-        let finalTranscript = "";
-        let interimTranscript = "";
+function createUtterance(text) {
+  const utter = new SpeechSynthesisUtterance(text);
+  utter.lang = speechSettings.lang;
+  utter.rate = speechSettings.rate;
+  utter.pitch = speechSettings.pitch;
+  utter.volume = speechSettings.volume;
+  const voice = findSpeechVoice(speechSettings.voiceURI, speechSettings.lang);
+  if (voice) utter.voice = voice;
+  return utter;
+}
 
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-          const transcriptPart = event.results[i][0].transcript;
-          if (event.results[i].isFinal) {
-            finalTranscript += transcriptPart;
-          } else {
-            interimTranscript += transcriptPart;
-          }
-        }
+// Lo oído justo después de hablar se considera eco si está contenido en lo dicho.
+// Con menos palabras el riesgo de descartar respuestas reales ("sí", "no") es alto.
+const ECHO_WINDOW_MS = 1500;
+const ECHO_MIN_WORDS = 2;
+
+// Prioridades de la cola de voz:
+// - alert: interrumpe lo que se esté diciendo; después se repite solo la
+//   locución cortada y sigue la cola (avisos del temporizador, pruebas de voz)
+// - normal: anuncios que se dicen en orden (preguntas, feedback, resultados)
+// - hint: pistas prescindibles; cualquier mensaje nuevo las descarta o interrumpe
+const SPEECH_PRIORITIES = { hint: 0, normal: 1, alert: 2 };
+
+// Cola de mensajes sobre speechSynthesis. Avisa con "start" al empezar a
+// hablar y con "end" al vaciarse la cola (el reconocimiento de voz se pausa entre ambos).
+function createSpeechManager() {
+  let queue = []; // [{ text, priority }] ordenada por prioridad
+  let current = null; // { text, priority, utter, watchdog }
+  let speaking = false;
+  let recent = []; // [{ text, endedAt }] para detectar ecos
+  const listeners = new Set();
+
+  const remember = (text) => {
+    const now = Date.now();
+    recent = [
+      ...recent.filter((item) => now - item.endedAt <= ECHO_WINDOW_MS),
+      { text, endedAt: now },
+    ];
+  };
 
-        setTranscript(finalTranscript || interimTranscript);
-        console.log("🎤 Detectado:", finalTranscript || interimTranscript);
-      };
+  const setSpeaking = (value) => {
+    if (speaking === value) return;
+    speaking = value;
+    listeners.forEach((listener) => listener(value ? "start" : "end"));
+  };
 
-      recognition.onerror = (event) => {
-        console.error("❌ Error en reconocimiento de voz:", event.error);
-        setIsListening(false);
-
-        // Si debería estar escuchando, reintentar después de un breve delay
-        if (shouldListen) {
-          setTimeout(() => {
-            if (shouldListen && recognitionRef.current) {
-              try {
-                recognitionRef.current.start();
-              } catch (error) {
-                console.log("Reintentando reconocimiento...");
-              }
-            }
-          }, 1000);
-        }
-      };
+  const rank = (priority) =>
+    SPEECH_PRIORITIES[priority] ?? SPEECH_PRIORITIES.normal;
 
-      recognition.onend = () => {
-        console.log("🎤 Reconocimiento de voz terminado");
-        setIsListening(false);
-
-        // Si debería estar escuchando, reiniciar automáticamente
-        if (shouldListen) {
-          setTimeout(() => {
-            if (shouldListen && recognitionRef.current) {
-              try {
-                recognitionRef.current.start();
-              } catch (error) {
-                console.log("Reintentando reconocimiento...");
-              }
-            }
-          }, 100); // Pequeño delay para evitar conflictos
-        }
-      };
+  const stopCurrent = () => {
+    if (!current) return;
+    clearTimeout(current.watchdog);
+    remember(current.text);
+    // Al anular `current` los onend/onerror de la locución cancelada se ignoran
+    current = null;
+    window.speechSynthesis.cancel();
+  };
 
-      recognitionRef.current = recognition;
-    } else {
-      console.warn("⚠️ Web Speech API no soportada en este navegador");
-      setIsSupported(false);
+  const playNext = () => {
+    if (current) return;
+
+    const item = queue.shift();
+    if (!item) {
+      setSpeaking(false);
+      return;
     }
 
-    return () => {
-      if (recognitionRef.current) {
-        recognitionRef.current.abort();
+    const utter = createUtterance(item.text);
+    const finish = () => {
+      if (current?.utter !== utter) return;
+      clearTimeout(current.watchdog);
+      remember(current.text);
+      current = null;
+      playNext();
+    };
+    utter.onend = finish;
+    utter.onerror = (event) => {
+      if (event.error !== "interrupted" && event.error !== "canceled") {
+        console.warn("🔊 Error de síntesis de voz:", event.error);
       }
+      finish();
     };
-  }, [shouldListen]);
 
-  // Effect para manejar inicio/parada automática basada en shouldListen
-  useEffect(() => {
-    if (!recognitionRef.current) return;
+    // Algunos navegadores no disparan onend: margen generoso según la longitud
+    const watchdog = setTimeout(
+      finish,
+      Math.max(5000, (item.text.length * 150) / speechSettings.rate)
+    );
 
-    if (shouldListen && !isListening) {
-      try {
-        recognitionRef.current.start();
-      } catch (error) {
-        console.error("Error al iniciar reconocimiento:", error);
+    current = { ...item, utter, watchdog };
+    setSpeaking(true);
+    window.speechSynthesis.speak(utter);
+  };
+
+  // `text` puede ser una lista de partes (p. ej. la pregunta y cada opción):
+  // se dicen seguidas, cada una en su propia locución
+  const speak = (text, priority = "normal") => {
+    const parts = [text].flat().filter(Boolean);
+    if (!("speechSynthesis" in window) || parts.length === 0) return;
+
+    // Las pistas pendientes quedan obsoletas en cuanto llega otro mensaje
+    queue = queue.filter((item) => item.priority !== "hint");
+
+    const entries = parts.map((part) => ({ text: part, priority }));
+    let position = queue.findIndex(
+      (item) => rank(item.priority) < rank(priority)
+    );
+    if (position === -1) position = queue.length;
+    queue.splice(position, 0, ...entries);
+
+    if (current && rank(current.priority) < rank(priority)) {
+      // Tras la alerta se repite solo la parte cortada; las siguientes
+      // siguen en la cola
+      const { text: interrupted, priority: interruptedPriority } = current;
+      stopCurrent();
+      if (interruptedPriority !== "hint") {
+        queue.splice(position + entries.length, 0, {
+          text: interrupted,
+          priority: interruptedPriority,
+        });
       }
-    } else if (!shouldListen && isListening) {
-      recognitionRef.current.stop();
     }
-  }, [shouldListen, isListening]);
-
-  const startContinuousListening = () => {
-    setShouldListen(true);
+    playNext();
   };
 
-  const stopContinuousListening = () => {
-    setShouldListen(false);
+  const cancelAll = () => {
+    queue = [];
+    stopCurrent();
+    setSpeaking(false);
   };
 
-  const startListening = () => {
-    if (recognitionRef.current && !isListening) {
-      try {
-        recognitionRef.current.start();
-      } catch (error) {
-        console.error("Error al iniciar reconocimiento:", error);
-      }
-    }
+  // ¿Es `transcript` la propia voz de la app captada por el micrófono?
+  const wasJustSpoken = (transcript) => {
+    const heard = normalizeSpeechText(transcript);
+    if (heard.split(" ").length < ECHO_MIN_WORDS) return false;
+
+    const now = Date.now();
+    const candidates = [
+      ...recent.filter((item) => now - item.endedAt <= ECHO_WINDOW_MS),
+      ...(current ? [current] : []),
+    ];
+    return candidates.some((item) =>
+      ` ${normalizeSpeechText(item.text)} `.includes(` ${heard} `)
+    );
   };
 
-  const stopListening = () => {
-    if (recognitionRef.current && isListening) {
-      recognitionRef.current.stop();
-    }
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
   };
 
-  const clearTranscript = () => {
-    setTranscript("");
+  return {
+    speak,
+    cancelAll,
+    subscribe,
+    wasJustSpoken,
+    isSpeaking: () => speaking,
   };
+}
 
-  const parseVoiceCommand = (text) => {
-    const cleanText = text.toLowerCase().trim();
-
-    // Mapear comandos de voz a opciones
-    const commandMap = {
-      // Opción A
-      "opción a": 0,
-      a: 0,
-      primera: 0,
-      "primera opción": 0,
-      uno: 0,
-      // Opción B
-      "opción b": 1,
-      b: 1,
-      segunda: 1,
-      "segunda opción": 1,
-      dos: 1,
-      // Opción C
-      "opción c": 2,
-      c: 2,
-      tercera: 2,
-      "tercera opción": 2,
-      tres: 2,
-      // Opción D
-      "opción d": 3,
-      d: 3,
-      cuarta: 3,
-      "cuarta opción": 3,
-      cuatro: 3,
-      // Comandos especiales
-      repetir: "repeat",
-      "repetir pregunta": "repeat",
-      "lee otra vez": "repeat",
-      siguiente: "next",
-      continuar: "next",
-      sí: "confirm",
-      confirmar: "confirm",
-      no: "cancel",
-      cancelar: "cancel",
-    };
+const speechManager = createSpeechManager();
 
-    // Buscar coincidencia exacta
-    if (commandMap.hasOwnProperty(cleanText)) {
-      return {
-        command: commandMap[cleanText],
-        confidence: "high",
-        original: text,
-      };
+function speak(text, priority = "normal") {
+  speechManager.speak(text, priority);
+}
+
+// true mientras la app está hablando (o tiene mensajes en cola)
+function useIsSpeaking() {
+  const [isSpeaking, setIsSpeaking] = useState(() =>
+    speechManager.isSpeaking()
+  );
+
+  useEffect(
+    () => speechManager.subscribe((event) => setIsSpeaking(event === "start")),
+    []
+  );
+
+  return isSpeaking;
+}
+
+// =====================
+// Utilidades de Opciones
+// =====================
+// Las preguntas admiten de 2 a 6 opciones; todas las vías de entrada
+// (clic, teclado, voz y gestos) se adaptan a q.options.length.
+const OPTION_LETTERS = ["A", "B", "C", "D", "E", "F"];
+// Seis dedos no caben en una mano: la opción F se marca con las dos (5 + 1)
+const OPTION_FINGER_EMOJIS = ["👆", "✌️", "🤟", "🖖", "🖐️", "🖐️☝️"];
+const MAX_FINGERS_ONE_HAND = 5;
+
+function getOptionLetter(optIdx) {
+  return OPTION_LETTERS[optIdx] ?? "?";
+}
+
+// "A, B o C"
+function listOptionLetters(count, t) {
+  const letters = OPTION_LETTERS.slice(0, count);
+  if (letters.length <= 1) return letters.join("");
+  return `${letters.slice(0, -1).join(", ")} ${t("common.or")} ${
+    letters[letters.length - 1]
+  }`;
+}
+
+// "A: Visual; B: Auditivo; …"
+function describeOptions(q) {
+  return q.options.map((opt, i) => `${getOptionLetter(i)}: ${opt}`).join("; ");
+}
+
+// Partes de la pregunta para leer en voz alta: el enunciado y cada opción con
+// su letra. speak() dice cada una en su propia locución, así que una alerta
+// solo obliga a repetir la que corte.
+function describeQuestion(q, index, t) {
+  return [
+    t("speech.question", { number: index + 1, text: q.q }),
+    ...q.options.map((opt, i) =>
+      t("speech.option", { letter: getOptionLetter(i), text: opt })
+    ),
+  ];
+}
+
+// Comandos de voz que cambian una preferencia. Se confirman con el mensaje
+// speech.setting.<comando>.
+const VOICE_SETTING_COMMANDS = {
+  soundOn: { preference: "soundOn", value: true },
+  soundOff: { preference: "soundOn", value: false },
+  vibrationOn: { preference: "vibrationOn", value: true },
+  vibrationOff: { preference: "vibrationOn", value: false },
+  gesturesOn: { preference: "gestureInputOn", value: true },
+  gesturesOff: { preference: "gestureInputOn", value: false },
+  calmMode: { preference: "reducedMode", value: true },
+  vibrantMode: { preference: "reducedMode", value: false },
+};
+
+// "A: Visual o C: Táctil", para pedir aclaración entre varias opciones
+function describeOptionChoices(q, indices, t) {
+  const choices = indices.map((i) => `${getOptionLetter(i)}: ${q.options[i]}`);
+  if (choices.length <= 1) return choices.join("");
+  return `${choices.slice(0, -1).join(", ")} ${t("common.or")} ${
+    choices[choices.length - 1]
+  }`;
+}
+
+// =====================
+// Idioma de la interfaz
+// =====================
+const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  t: (key, params) => translate(DEFAULT_LOCALE, key, params),
+  setLocale: () => {},
+});
+
+function useI18n() {
+  return useContext(I18nContext);
+}
+
+// Convierte **texto** en <strong> para los mensajes con énfasis
+function richText(message) {
+  return message
+    .split(/\*\*(.+?)\*\*/g)
+    .map((part, i) => (i % 2 === 1 ? <strong key={i}>{part}</strong> : part));
+}
+
+// =====================
+// Utilidades de Reconocimiento de Voz
+// =====================
+// Ciclo de vida de la escucha continua:
+// idle → starting → listening → (fin de frase) restarting → starting → …
+// Un error pasajero también pasa a restarting, con una espera que crece; uno
+// que no se arregla solo (sin permiso, sin micrófono) se queda en error.
+const RECOGNITION_RESTART_DELAY_MS = 100;
+// Espera tras fallos seguidos: se duplica desde baseMs hasta maxMs. El
+// silencio ("no-speech") se reintenta pronto para no perder lo que se diga después.
+const RECOGNITION_BACKOFF = {
+  "no-speech": { baseMs: 250, maxMs: 2000 },
+  default: { baseMs: 1000, maxMs: 30000 },
+};
+// Errores del navegador que requieren que el usuario haga algo → código de error
+const RECOGNITION_FATAL_ERRORS = {
+  "not-allowed": "permission",
+  "service-not-allowed": "permission",
+  "audio-capture": "noMicrophone",
+};
+
+function getRecognitionBackoff(errorType, failures) {
+  const { baseMs, maxMs } =
+    RECOGNITION_BACKOFF[errorType] ?? RECOGNITION_BACKOFF.default;
+  return Math.min(baseMs * 2 ** (failures - 1), maxMs);
+}
+
+// paused: se deja de escuchar temporalmente (p. ej. mientras la app habla)
+// sin perder el modo de escucha continua.
+// backend: motor de src/recognition; vocabulary: frases que el motor local
+// sabe reconocer ([{ phrase, templates }], el del navegador las ignora).
+function useVoiceRecognition(
+  lang,
+  paused = false,
+  { backend = DEFAULT_SPEECH_BACKEND, vocabulary = null } = {}
+) {
+  // "idle" | "starting" | "listening" | "restarting" | "error"
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState(null); // Código: "permission" | "noMicrophone"
+  const [transcript, setTranscript] = useState("");
+  const [shouldListen, setShouldListen] = useState(false); // Control para escucha continua
+  const isSupported = isSpeechBackendSupported(backend);
+
+  const recognitionRef = useRef(null);
+  // Los manejadores del reconocimiento viven más que un render: leen siempre
+  // de estas referencias en vez de valores capturados
+  const statusRef = useRef("idle");
+  const shouldListenRef = useRef(false);
+  const pausedRef = useRef(paused);
+  const failuresRef = useRef(0);
+  const lastErrorRef = useRef(null);
+  const retryTimerRef = useRef(null);
+  const vocabularyRef = useRef(vocabulary);
+  // Ajusta el reconocimiento a shouldListen/paused; lo define el efecto de abajo
+  const syncRef = useRef(null);
+
+  // Una instancia por idioma y motor; empezar y parar no la recrean
+  useEffect(() => {
+    if (!isSpeechBackendSupported(backend)) {
+      console.warn("⚠️ Reconocimiento de voz no soportado en este navegador:", backend);
+      return;
     }
 
-    // Buscar coincidencia parcial
-    for (const [key, value] of Object.entries(commandMap)) {
-      if (cleanText.includes(key)) {
-        return { command: value, confidence: "medium", original: text };
+    const recognition = createRecognizer(backend, { lang });
+    recognition.setVocabulary(vocabularyRef.current ?? []);
+    recognitionRef.current = recognition;
+
+    const updateStatus = (next) => {
+      statusRef.current = next;
+      setStatus(next);
+    };
+    const clearRetry = () => {
+      clearTimeout(retryTimerRef.current);
+      retryTimerRef.current = null;
+    };
+    const wanted = () => shouldListenRef.current && !pausedRef.current;
+
+    const scheduleStart = (delayMs) => {
+      clearRetry();
+      updateStatus("restarting");
+      retryTimerRef.current = setTimeout(start, delayMs);
+    };
+
+    function start() {
+      clearRetry();
+      if (!wanted()) {
+        updateStatus("idle");
+        return;
+      }
+
+      updateStatus("starting");
+      try {
+        recognition.start();
+      } catch (err) {
+        // InvalidStateError si el navegador aún no ha terminado la sesión anterior
+        console.warn("🎤 No se pudo iniciar el reconocimiento:", err.message);
+        failuresRef.current += 1;
+        scheduleStart(
+          getRecognitionBackoff(lastErrorRef.current, failuresRef.current)
+        );
       }
     }
 
-    return { command: null, confidence: "none", original: text };
+    syncRef.current = () => {
+      const current = statusRef.current;
+
+      if (wanted()) {
+        if (current === "idle") start();
+        return;
+      }
+
+      if (current === "starting" || current === "listening") {
+        // abort() descarta lo que se estuviera oyendo (probablemente la propia
+        // app); stop() aún entrega lo último que se dijo
+        if (pausedRef.current) {
+          console.log("🎤 Reconocimiento en pausa mientras la app habla");
+          recognition.abort();
+        } else {
+          recognition.stop();
+        }
+      } else if (current === "restarting") {
+        clearRetry();
+        updateStatus("idle");
+      } else if (current === "error" && !shouldListenRef.current) {
+        // Volver a activar la entrada por voz es la forma de reintentar
+        updateStatus("idle");
+      }
+    };
+
+    recognition.onstart = () => {
+      console.log("🎤 Reconocimiento de voz iniciado");
+      updateStatus("listening");
+      setTranscript("");
+    };
+
+    recognition.onresult = (heard) => {
+      // Resultados que llegan mientras la app habla serían su propia voz
+      if (pausedRef.current) return;
+      failuresRef.current = 0;
+
+      if (speechManager.wasJustSpoken(heard)) {
+        console.log("🎤 Eco de la app descartado:", heard);
+        return;
+      }
+
+      setTranscript(heard);
+      console.log("🎤 Detectado:", heard);
+    };
+
+    recognition.onerror = (code) => {
+      // "aborted" lo provocamos nosotros al pausar o descartar una frase
+      if (code === "aborted") return;
+
+      const fatal = RECOGNITION_FATAL_ERRORS[code];
+      if (fatal) {
+        console.error("❌ Reconocimiento de voz detenido:", code);
+        clearRetry();
+        updateStatus("error");
+        setError(fatal);
+        return;
+      }
+
+      // onend llega justo después y programa el reintento
+      console.warn("🎤 Error pasajero en reconocimiento de voz:", code);
+      lastErrorRef.current = code;
+      failuresRef.current += 1;
+    };
+
+    recognition.onend = () => {
+      console.log("🎤 Reconocimiento de voz terminado");
+      if (statusRef.current === "error") return;
+
+      if (!wanted()) {
+        updateStatus("idle");
+      } else if (failuresRef.current > 0) {
+        scheduleStart(
+          getRecognitionBackoff(lastErrorRef.current, failuresRef.current)
+        );
+      } else {
+        scheduleStart(RECOGNITION_RESTART_DELAY_MS);
+      }
+    };
+
+    // Si ya se estaba escuchando (cambio de idioma), seguir con la nueva instancia
+    syncRef.current();
+
+    return () => {
+      clearRetry();
+      recognition.onstart = null;
+      recognition.onresult = null;
+      recognition.onerror = null;
+      recognition.onend = null;
+      recognition.dispose();
+      recognitionRef.current = null;
+      syncRef.current = null;
+      if (statusRef.current !== "error") updateStatus("idle");
+    };
+  }, [lang, backend]);
+
+  useEffect(() => {
+    vocabularyRef.current = vocabulary;
+    recognitionRef.current?.setVocabulary(vocabulary ?? []);
+  }, [vocabulary]);
+
+  useEffect(() => {
+    pausedRef.current = paused;
+    syncRef.current?.();
+  }, [paused]);
+
+  useEffect(() => {
+    shouldListenRef.current = shouldListen;
+    syncRef.current?.();
+  }, [shouldListen]);
+
+  const startContinuousListening = () => {
+    failuresRef.current = 0;
+    setShouldListen(true);
+  };
+
+  const stopContinuousListening = () => {
+    setError(null);
+    setShouldListen(false);
   };
 
+  // discardCurrent: además se aborta la frase en curso (lo que se está diciendo
+  // al cambiar de pregunta no debe responder la nueva); la escucha se reanuda sola
+  const clearTranscript = useCallback(({ discardCurrent = false } = {}) => {
+    setTranscript("");
+    if (discardCurrent && statusRef.current === "listening") {
+      recognitionRef.current?.abort();
+    }
+  }, []);
+
   return {
-    isListening,
+    backend,
+    status,
+    error,
+    isListening: status === "listening",
     transcript,
     isSupported,
     shouldListen,
-    startListening,
-    stopListening,
+    paused,
     startContinuousListening,
     stopContinuousListening,
     clearTranscript,
-    parseVoiceCommand,
   };
 }
 
 // =====================
 // Hook de Reconocimiento de Gestos con MediaPipe
 // =====================
-function useGestureRecognition() {
+// 0 = modelo ligero, 1 = completo (más preciso)
+const HANDS_MODEL_COMPLEXITY = 1;
+// Tiempos de mantener el gesto entre los que se puede elegir (ms)
+const GESTURE_HOLD_CHOICES = [500, 1000, 1500, 2000, 3000];
+// Qué manos cuentan: "both" suma los dedos de las dos, "dominant" solo usa la
+// mano dominante (la de quien ayuda se ignora) y "split" elige la opción con la
+// otra mano y confirma con la dominante
+const GESTURE_HAND_MODES = ["both", "dominant", "split"];
+const PERSON_HANDS = ["right", "left"];
+// Tiempo sin la postura que abrió una confirmación de gesto para darla por soltada
+const GESTURE_RELEASE_MS = 400;
+
+// La inferencia de MediaPipe tiene que quedarse en el hilo principal (la
+// versión de @mediapipe/hands carga su wasm desde la página y no funciona en un
+// worker), así que se limita el ritmo: cada fotograma espera al menos
+// FRAME_BUDGET_FACTOR veces lo que tarda la inferencia en este equipo.
+const MIN_FRAME_INTERVAL_MS = 33; // ~30 fps como máximo
+const MAX_FRAME_INTERVAL_MS = 125; // ~8 fps como mínimo
+const FRAME_BUDGET_FACTOR = 2;
+// Peso de cada medida en la media del tiempo de inferencia
+const FRAME_TIME_SMOOTHING = 0.1;
+// Si hace rato que no se ve ninguna mano la detección se pausa: no se analiza
+// ningún fotograma hasta que algo se mueva delante de la cámara (o se pulse
+// Reanudar). El movimiento se mira en una miniatura de la imagen: cuenta la
+// fracción de píxeles cuyo brillo cambia más de MOTION_PIXEL_THRESHOLD.
+const HAND_IDLE_AFTER_MS = 3000;
+const MOTION_CHECK_INTERVAL_MS = 250;
+const MOTION_CHECK_WIDTH = 32;
+const MOTION_CHECK_HEIGHT = 24;
+const MOTION_PIXEL_THRESHOLD = 24; // sobre 255
+const MOTION_MIN_CHANGED = 0.03;
+
+// Decide si se procesa el fotograma de la cámara según el ritmo del equipo.
+// timing: { lastAt, interval, inferenceMs, lastHandAt, paused, motionCheck }
+function shouldProcessFrame(timing, now) {
+  if (now - timing.lastAt < timing.interval) return false;
+  timing.lastAt = now;
+  return true;
+}
+
+function adaptFrameRate(timing, inferenceMs) {
+  timing.inferenceMs = timing.inferenceMs
+    ? timing.inferenceMs * (1 - FRAME_TIME_SMOOTHING) +
+      inferenceMs * FRAME_TIME_SMOOTHING
+    : inferenceMs;
+  timing.interval = Math.min(
+    MAX_FRAME_INTERVAL_MS,
+    Math.max(MIN_FRAME_INTERVAL_MS, timing.inferenceMs * FRAME_BUDGET_FACTOR)
+  );
+}
+
+// Comprobación barata de movimiento para salir de la pausa: hasMoved(video)
+// compara el brillo de una miniatura del fotograma con la de la llamada anterior
+function createMotionCheck() {
+  const canvas = document.createElement("canvas");
+  canvas.width = MOTION_CHECK_WIDTH;
+  canvas.height = MOTION_CHECK_HEIGHT;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  let previous = null;
+
+  return {
+    hasMoved(video) {
+      ctx.drawImage(video, 0, 0, MOTION_CHECK_WIDTH, MOTION_CHECK_HEIGHT);
+      const { data } = ctx.getImageData(
+        0,
+        0,
+        MOTION_CHECK_WIDTH,
+        MOTION_CHECK_HEIGHT
+      );
+      const luma = new Uint8Array(data.length / 4);
+      for (let i = 0; i < luma.length; i++) {
+        luma[i] =
+          (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >>
+          8;
+      }
+
+      let changed = 0;
+      if (previous) {
+        for (let i = 0; i < luma.length; i++) {
+          if (Math.abs(luma[i] - previous[i]) > MOTION_PIXEL_THRESHOLD) {
+            changed += 1;
+          }
+        }
+      }
+      previous = luma;
+      return changed / luma.length >= MOTION_MIN_CHANGED;
+    },
+    reset() {
+      previous = null;
+    },
+  };
+}
+
+// Pausa la detección (sin manos desde hace HAND_IDLE_AFTER_MS) o la reanuda;
+// onChange recibe el nuevo estado
+function setTrackingPaused(timing, paused, onChange) {
+  if (timing.paused === paused) return;
+  timing.paused = paused;
+  timing.motionCheck?.reset();
+  // Al volver se da el mismo margen para que aparezca una mano
+  if (!paused) timing.lastHandAt = performance.now();
+  onChange(paused);
+}
+
+// Procesador de fotogramas (ver gesturePipeline.js): en un Web Worker si el
+// navegador lo permite y, si no, en el hilo principal con los mismos mensajes.
+// Los suscriptores reciben lo que envía el procesador.
+function createGestureProcessor() {
+  const listeners = new Set();
+  const emit = (message) => listeners.forEach((listener) => listener(message));
+  // Canvas ya entregados (transferControlToOffscreen solo se puede llamar una vez)
+  const attached = new WeakSet();
+
+  let worker = null;
+  if (typeof Worker !== "undefined") {
+    try {
+      worker = new Worker(new URL("./gestureWorker.js", import.meta.url), {
+        type: "module",
+      });
+      worker.onmessage = (event) => emit(event.data);
+      worker.onerror = (event) =>
+        console.error("🤚 Error en el worker de gestos:", event.message);
+    } catch {
+      // Sin Web Worker: los fotogramas se procesan en el hilo principal
+      worker = null;
+    }
+  }
+  const handleLocally = worker ? null : createGestureFrameProcessor(emit);
+
+  const post = (message, transfer = []) => {
+    if (worker) worker.postMessage(message, transfer);
+    else handleLocally(message);
+  };
+
+  return {
+    post,
+    // Entrega el canvas de los esqueletos al procesador. Devuelve false si no
+    // puede dibujarlo (worker sin OffscreenCanvas): entonces se dibuja aquí.
+    attachCanvas(canvas) {
+      if (attached.has(canvas)) return true;
+      if (worker && !canvas.transferControlToOffscreen) return false;
+      const target = worker ? canvas.transferControlToOffscreen() : canvas;
+      attached.add(canvas);
+      post({ type: "canvas", canvas: target }, worker ? [target] : []);
+      return true;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+// Un único procesador para toda la página, creado la primera vez que se usa
+let gestureProcessor = null;
+
+function getGestureProcessor() {
+  if (!gestureProcessor) gestureProcessor = createGestureProcessor();
+  return gestureProcessor;
+}
+
+// Primera mano de las que cuentan para hand ("any", "left" o "right"): la que
+// mueve el puntero y se graba al calibrar
+function findTrackedHand(hands, hand) {
+  return hands.find(
+    (item) => hand === "any" || getPersonHand(item.label) === hand
+  );
+}
+
+// holdMs: tiempo que hay que mantener un gesto estable para que se registre.
+// heldGesture cambia ({ gesture, at }) cada vez que un gesto completa ese tiempo.
+// profile: calibración personal (ver gestureCalibration.js); si la hay, se usa
+// en lugar de contar dedos. namedPoses: posturas con nombre que hay que buscar.
+// motionGestures: movimientos a buscar (ver motionGestures.js) con los umbrales
+// de motionSettings; un movimiento completo cambia heldGesture sin esperar holdMs.
+// hand: mano que produce los gestos ("left" / "right" de la persona) o "any"
+// para usar todas las que se vean. trackPointer: actualizar handLandmarks en
+// cada fotograma (solo lo necesita el puntero en el aire).
+// Los gestos son posturas de gestureBindings.js ("fingers:2", "thumbsUp"…).
+// El procesado se hace en gesturePipeline.js; aquí solo llegan los cambios.
+// isPaused: sin manos a la vista no se analizan fotogramas hasta que haya
+// movimiento delante de la cámara o se llame a resumeTracking().
+function useGestureRecognition({
+  holdMs = 1000,
+  profile = null,
+  namedPoses = [],
+  motionGestures = [],
+  motionSettings = MOTION_GESTURE_SETTINGS,
+  hand = "any",
+  reducedMode = false,
+  trackPointer = false,
+} = {}) {
   const [isActive, setIsActive] = useState(false);
   const [detectedGesture, setDetectedGesture] = useState(null);
   const [confidence, setConfidence] = useState(0);
-  const [error, setError] = useState(null);
+  const [holdProgress, setHoldProgress] = useState(0); // 0 a 1
+  const [heldGesture, setHeldGesture] = useState(null);
+  const [error, setError] = useState(null); // Código: "load" | "assets" | "camera"
   const [isSupported, setIsSupported] = useState(true);
+  // Descarga de los archivos de MediaPipe (0 a 1) y si ya se puede usar
+  const [loadProgress, setLoadProgress] = useState(0);
+  const [isReady, setIsReady] = useState(false);
   const [fingersUp, setFingersUp] = useState([]);
   const [handLandmarks, setHandLandmarks] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
 
   const videoRef = useRef(null);
+  // Canvas que hay que dibujar aquí porque el procesador no puede
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
   const handsRef = useRef(null);
   const cameraRef = useRef(null);
+  const maxHandsRef = useRef(1);
+  // Cámara pedida antes de que MediaPipe terminara de cargar
+  const startRequestedRef = useRef(false);
+  const handRef = useRef(hand);
+  const reducedModeRef = useRef(reducedMode);
+  const trackPointerRef = useRef(trackPointer);
+  // Manos del último fotograma, para grabar muestras de calibración
+  const lastHandsRef = useRef([]);
+  // Ritmo de fotogramas: último procesado, intervalo actual, tiempo medio de
+  // inferencia, último fotograma con alguna mano y la pausa sin manos (con su
+  // comprobación de movimiento)
+  const frameTimingRef = useRef({
+    lastAt: 0,
+    interval: MIN_FRAME_INTERVAL_MS,
+    inferenceMs: 0,
+    lastHandAt: 0,
+    paused: false,
+    motionCheck: null,
+  });
+
+  const resumeTracking = useCallback(
+    () => setTrackingPaused(frameTimingRef.current, false, setIsPaused),
+    []
+  );
+
+  // Del procesador solo llegan cambios: React no se entera de cada fotograma
+  useEffect(
+    () =>
+      getGestureProcessor().subscribe((message) => {
+        if (message.type === "state") {
+          setDetectedGesture(message.gesture);
+          setConfidence(message.confidence);
+          setHoldProgress(message.holdProgress);
+          setFingersUp(message.fingersUp);
+        } else if (message.type === "held") {
+          console.log(`🤚 Gesto reconocido: ${message.gesture}`);
+          setHeldGesture({ gesture: message.gesture, at: message.at });
+        }
+      }),
+    []
+  );
+
+  useEffect(() => {
+    handRef.current = hand;
+    reducedModeRef.current = reducedMode;
+    getGestureProcessor().post({
+      type: "config",
+      config: { holdMs, namedPoses, motionGestures, hand, reducedMode },
+    });
+  }, [holdMs, namedPoses, motionGestures, hand, reducedMode]);
+
+  // La calibración y los umbrales se envían aparte: al cambiar se reconstruyen
+  useEffect(() => {
+    getGestureProcessor().post({ type: "config", config: { profile } });
+  }, [profile]);
+
+  useEffect(() => {
+    getGestureProcessor().post({ type: "config", config: { motionSettings } });
+  }, [motionSettings]);
+
+  useEffect(() => {
+    trackPointerRef.current = trackPointer;
+    if (!trackPointer) setHandLandmarks(null);
+  }, [trackPointer]);
+
+  // Con la pestaña oculta no se procesan fotogramas; lo visto antes se olvida
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (!document.hidden) return;
+      getGestureProcessor().post({ type: "reset" });
+      setDetectedGesture(null);
+      setConfidence(0);
+      setHoldProgress(0);
+      setFingersUp([]);
+      setHandLandmarks(null);
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () =>
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+  }, []);
 
   // Verificar soporte del navegador y cargar MediaPipe
   useEffect(() => {
@@ -315,30 +975,43 @@ function useGestureRecognition() {
 
         // Cargar MediaPipe Hands
         const { Hands } = await import("@mediapipe/hands");
-        const { Camera } = await import("@mediapipe/camera_utils");
-
-        console.log("🤚 MediaPipe Hands cargado exitosamente");
         setIsSupported(true);
 
-        // Configurar MediaPipe Hands
-        const hands = new Hands({
-          locateFile: (file) => {
-            return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-          },
+        // Configurar MediaPipe Hands con los archivos ya descargados (servidos
+        // desde el propio origen), para que no los pida otra vez
+        const locateFile = await prefetchHandsAssets({
+          modelComplexity: HANDS_MODEL_COMPLEXITY,
+          onProgress: setLoadProgress,
         });
+        const hands = new Hands({ locateFile });
 
         hands.setOptions({
-          maxNumHands: 1,
-          modelComplexity: 1,
+          maxNumHands: maxHandsRef.current,
+          modelComplexity: HANDS_MODEL_COMPLEXITY,
           minDetectionConfidence: 0.5,
           minTrackingConfidence: 0.5,
         });
 
         hands.onResults(onResults);
+
+        await hands.initialize();
         handsRef.current = hands;
+        setIsReady(true);
+
+        if (startRequestedRef.current) startCamera();
       } catch (err) {
+        // Sin los archivos del modelo se sigue mostrando la interfaz de gestos,
+        // con un error que dice qué no se pudo descargar
+        if (err.code === "assets") {
+          console.error(
+            `🤚 Falta ${err.file} en ${MEDIAPIPE_HANDS_ASSET_BASE}`,
+            err
+          );
+          setError("assets");
+          return;
+        }
         console.error("🤚 Error cargando MediaPipe:", err);
-        setError("Error al cargar la librería de detección de gestos");
+        setError("load");
         setIsSupported(false);
       }
     };
@@ -346,68 +1019,72 @@ function useGestureRecognition() {
     checkSupport();
   }, []);
 
-  // Procesar resultados de MediaPipe
+  // Procesar resultados de MediaPipe: se pasan tal cual al procesador
   const onResults = (results) => {
-    if (
-      !results.multiHandLandmarks ||
-      results.multiHandLandmarks.length === 0
-    ) {
-      setDetectedGesture(null);
-      setConfidence(0);
-      setFingersUp([]);
-      setHandLandmarks(null);
-      return;
+    const at = performance.now();
+    const hands = (results.multiHandLandmarks ?? []).map((landmarks, i) => ({
+      landmarks,
+      label: results.multiHandedness?.[i]?.label ?? null,
+      score: results.multiHandedness?.[i]?.score ?? 1,
+    }));
+    if (hands.length > 0) frameTimingRef.current.lastHandAt = at;
+    lastHandsRef.current = hands;
+
+    const video = videoRef.current;
+    const frame = {
+      at,
+      width: video?.videoWidth ?? 0,
+      height: video?.videoHeight ?? 0,
+      hands,
+    };
+    getGestureProcessor().post({ type: "frame", ...frame });
+
+    // Sin OffscreenCanvas en el worker se dibuja aquí, sin pasar por React
+    if (canvasRef.current) {
+      drawHands(canvasRef.current, {
+        ...frame,
+        reducedMode: reducedModeRef.current,
+        hands: hands.map((item) => ({
+          landmarks: item.landmarks,
+          hand: getPersonHand(item.label),
+          used: findTrackedHand([item], handRef.current) !== undefined,
+        })),
+      });
     }
 
-    const landmarks = results.multiHandLandmarks[0];
-    setHandLandmarks(landmarks); // Guardar landmarks para visualización
-
-    const fingers = countFingers(landmarks);
-    setFingersUp(fingers);
-
-    const fingersCount = fingers.filter(Boolean).length;
-    console.log("🤚 Dedos detectados:", fingersCount, "Dedos arriba:", fingers);
-
-    // Directamente asignar el número de dedos detectados
-    setDetectedGesture(fingersCount);
-    setConfidence(0.9);
-    console.log(`🤚 ¡${fingersCount} DEDO(S) DETECTADO!`);
+    if (trackPointerRef.current) {
+      const tracked = findTrackedHand(hands, handRef.current);
+      setHandLandmarks(tracked?.landmarks ?? null);
+    }
   };
 
-  // Contar dedos levantados
-  const countFingers = (landmarks) => {
-    if (!landmarks || landmarks.length < 21) return [];
-
-    const fingers = [false, false, false, false, false]; // [pulgar, índice, medio, anular, meñique]
-
-    // Puntos de referencia de las puntas de los dedos
-    const tipIds = [4, 8, 12, 16, 20];
-
-    // Pulgar (lógica especial por orientación)
-    if (landmarks[tipIds[0]].x > landmarks[tipIds[0] - 1].x) {
-      fingers[0] = true;
-    }
+  // Mano actual normalizada como muestra de calibración, o null si no se ve
+  const captureHandSample = useCallback(() => {
+    const tracked = findTrackedHand(lastHandsRef.current, handRef.current);
+    return tracked
+      ? normalizeHandLandmarks(tracked.landmarks, tracked.label)
+      : null;
+  }, []);
 
-    // Otros dedos (compara punta con articulación)
-    for (let i = 1; i < 5; i++) {
-      if (landmarks[tipIds[i]].y < landmarks[tipIds[i] - 2].y) {
-        fingers[i] = true;
-      }
+  // El canvas de los esqueletos lo dibuja el procesador (en el worker, con
+  // OffscreenCanvas); si no puede, se dibuja en onResults
+  const attachCanvas = useCallback((canvas) => {
+    canvasRef.current = null;
+    if (!canvas) return;
+    if (!getGestureProcessor().attachCanvas(canvas)) {
+      canvasRef.current = canvas;
     }
-
-    return fingers;
-  };
+  }, []);
 
   // Inicializar cámara con MediaPipe
   const startCamera = async () => {
     try {
-      console.log("🤚 Iniciando cámara con MediaPipe...");
-      setError(null);
-
       if (!handsRef.current) {
-        setError("MediaPipe no está inicializado");
+        // Se arranca en cuanto termine de cargar MediaPipe
+        startRequestedRef.current = true;
         return;
       }
+      setError(null);
 
       const stream = await navigator.mediaDevices.getUserMedia({
         video: {
@@ -421,14 +1098,36 @@ function useGestureRecognition() {
         videoRef.current.srcObject = stream;
         streamRef.current = stream;
         setIsActive(true);
+        // Se empieza al ritmo normal, como si se acabara de ver una mano
+        const timing = frameTimingRef.current;
+        setTrackingPaused(timing, false, setIsPaused);
+        timing.lastHandAt = performance.now();
 
-        // Configurar cámara de MediaPipe
+        // Configurar cámara de MediaPipe. En pausa solo se mira si hay
+        // movimiento; si no, el fotograma se analiza cuando toca
         const { Camera } = await import("@mediapipe/camera_utils");
         const camera = new Camera(videoRef.current, {
           onFrame: async () => {
-            if (handsRef.current && videoRef.current) {
-              await handsRef.current.send({ image: videoRef.current });
+            const video = videoRef.current;
+            if (!video || !handsRef.current || document.hidden) return;
+            const now = performance.now();
+
+            if (timing.paused) {
+              if (now - timing.lastAt < MOTION_CHECK_INTERVAL_MS) return;
+              timing.lastAt = now;
+              timing.motionCheck ??= createMotionCheck();
+              if (timing.motionCheck.hasMoved(video)) {
+                setTrackingPaused(timing, false, setIsPaused);
+              }
+              return;
+            }
+            if (now - timing.lastHandAt > HAND_IDLE_AFTER_MS) {
+              setTrackingPaused(timing, true, setIsPaused);
+              return;
             }
+            if (!shouldProcessFrame(timing, now)) return;
+            await handsRef.current.send({ image: video });
+            adaptFrameRate(timing, performance.now() - now);
           },
           width: 640,
           height: 480,
@@ -436,11 +1135,10 @@ function useGestureRecognition() {
 
         cameraRef.current = camera;
         camera.start();
-        console.log("🤚 Cámara MediaPipe iniciada");
       }
     } catch (err) {
       console.error("🤚 Error al inicializar cámara:", err);
-      setError("No se pudo acceder a la cámara. Verifique los permisos.");
+      setError("camera");
       setIsActive(false);
     }
   };
@@ -448,6 +1146,7 @@ function useGestureRecognition() {
   // Detener cámara
   const stopCamera = () => {
     console.log("🤚 Deteniendo cámara MediaPipe...");
+    startRequestedRef.current = false;
 
     if (cameraRef.current) {
       cameraRef.current.stop();
@@ -463,12 +1162,23 @@ function useGestureRecognition() {
     }
 
     setIsActive(false);
+    setTrackingPaused(frameTimingRef.current, false, setIsPaused);
+    getGestureProcessor().post({ type: "reset" });
     setDetectedGesture(null);
     setConfidence(0);
+    setHoldProgress(0);
     setFingersUp([]);
+    setHandLandmarks(null);
     console.log("🤚 Cámara MediaPipe detenida");
   };
 
+  // Número de manos a seguir: 2 para contar más de 5 dedos o elegir entre manos
+  const setMaxHands = (count) => {
+    if (maxHandsRef.current === count) return;
+    maxHandsRef.current = count;
+    handsRef.current?.setOptions({ maxNumHands: count });
+  };
+
   // Limpiar al desmontar
   useEffect(() => {
     return () => {
@@ -481,97 +1191,1063 @@ function useGestureRecognition() {
     isSupported,
     detectedGesture,
     confidence,
+    holdProgress,
+    holdMs,
+    heldGesture,
+    captureHandSample,
+    loadProgress,
+    isReady,
     fingersUp,
     handLandmarks,
+    isPaused,
+    resumeTracking,
     error,
     videoRef,
-    canvasRef,
+    attachCanvas,
     startCamera,
     stopCamera,
+    setMaxHands,
   };
 }
 
 // =====================
-// Preguntas de ejemplo
+// Puntero en el aire
 // =====================
-const QUESTIONS = [
-  {
-    id: 1,
-    q: "¿Cuál NO es un canal típico en una interfaz multisensorial práctica?",
-    options: ["Visual", "Auditivo", "Háptico (vibración)", "Gustativo (sabor)"],
-    correct: 3,
-  },
-  {
-    id: 2,
-    q: "Para accesibilidad, ¿qué práctica es correcta?",
-    options: [
-      "Depender solo del color para estados",
-      "Usar iconos + texto además del color",
-      "Ocultar el foco del teclado",
-      "Deshabilitar el lector de pantalla",
-    ],
-    correct: 1,
-  },
-  {
-    id: 3,
-    q: "¿Qué patrón de vibración comunicaría MEJOR un error?",
-    options: [
-      "Vibración corta y única",
-      "Sin vibración",
-      "Patrón más largo y con pausas",
-      "Vibración continua 10 segundos",
-    ],
-    correct: 2,
-  },
-  {
-    id: 4,
-    q: "Para reducir la sobrecarga sensorial, es recomendable…",
-    options: [
-      "Permitir que el usuario configure sonido y vibración",
-      "Disparar sonido, voz y vibración siempre juntos",
-      "Usar animaciones largas y brillantes",
-      "Bajar el contraste del texto",
-    ],
-    correct: 0,
-  },
-];
+// La punta del índice mueve un cursor por la pantalla; quedarse sobre una
+// opción el tiempo elegido (dwellMs) la selecciona.
+const AIR_POINTER_DWELL_CHOICES = [800, 1200, 1500, 2000, 3000];
+// Peso de cada posición nueva en la media móvil que suaviza el cursor
+const AIR_POINTER_SMOOTHING = 0.35;
+// Borde de la imagen que no hace falta alcanzar: el centro cubre toda la pantalla
+const AIR_POINTER_MARGIN = 0.15;
+const INDEX_FINGER_TIP = 8;
+const IDLE_AIR_POINTER = { position: null, target: null, progress: 0 };
+
+// Posición en la ventana (px) de un punto normalizado de la cámara. La cámara
+// ve a la persona de frente: en modo espejo, mover la mano a la derecha mueve
+// el cursor a la derecha.
+function mapToViewport(point, mirrored) {
+  const scale = (value) =>
+    Math.min(
+      1,
+      Math.max(0, (value - AIR_POINTER_MARGIN) / (1 - 2 * AIR_POINTER_MARGIN))
+    );
+  const x = scale(mirrored ? 1 - point.x : point.x);
+  return { x: x * window.innerWidth, y: scale(point.y) * window.innerHeight };
+}
+
+// targetsRef: elementos sobre los que se puede posar el cursor (los botones de
+// opción); los deshabilitados se ignoran. onSelect(índice) se llama una vez por
+// permanencia completa; onEnter(índice) al entrar en cada uno.
+function useAirPointer({
+  enabled,
+  landmarks,
+  mirrored,
+  dwellMs,
+  targetsRef,
+  onSelect,
+  onEnter,
+}) {
+  const [pointer, setPointer] = useState(IDLE_AIR_POINTER);
+  const smoothedRef = useRef(null);
+  const dwellRef = useRef({ target: null, since: 0, fired: false });
+  const handlersRef = useRef({ onSelect, onEnter });
+
+  useEffect(() => {
+    handlersRef.current = { onSelect, onEnter };
+  });
+
+  useEffect(() => {
+    if (!enabled || !landmarks) {
+      smoothedRef.current = null;
+      dwellRef.current = { target: null, since: 0, fired: false };
+      setPointer(IDLE_AIR_POINTER);
+      return;
+    }
+
+    const raw = mapToViewport(landmarks[INDEX_FINGER_TIP], mirrored);
+    const previous = smoothedRef.current;
+    const position = previous
+      ? {
+          x: previous.x + AIR_POINTER_SMOOTHING * (raw.x - previous.x),
+          y: previous.y + AIR_POINTER_SMOOTHING * (raw.y - previous.y),
+        }
+      : raw;
+    smoothedRef.current = position;
+
+    const index = targetsRef.current.findIndex((element) => {
+      if (!element || element.disabled) return false;
+      const rect = element.getBoundingClientRect();
+      return (
+        position.x >= rect.left &&
+        position.x <= rect.right &&
+        position.y >= rect.top &&
+        position.y <= rect.bottom
+      );
+    });
+    const target = index === -1 ? null : index;
+
+    const now = performance.now();
+    if (target !== dwellRef.current.target) {
+      dwellRef.current = { target, since: now, fired: false };
+      if (target !== null) handlersRef.current.onEnter?.(target);
+    }
+    const dwell = dwellRef.current;
+    const progress =
+      target === null ? 0 : Math.min(1, (now - dwell.since) / dwellMs);
+    if (progress >= 1 && !dwell.fired) {
+      dwell.fired = true;
+      console.log("👉 Opción elegida con el puntero:", target);
+      handlersRef.current.onSelect(target);
+    }
+
+    setPointer({ position, target, progress });
+  }, [enabled, landmarks, mirrored, dwellMs, targetsRef]);
+
+  return pointer;
+}
+
+// =====================
+// Hook de Entrada por Teclado
+// =====================
+// Traduce pulsaciones de teclas a los mismos comandos que usan la voz y los
+// gestos (índice de opción, "confirm", "cancel", "next", "repeat", "help").
+function parseKeyCommand(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+
+  if (/^[1-9]$/.test(event.key)) return Number(event.key) - 1;
+
+  switch (event.key) {
+    case "Enter":
+      return "confirm";
+    case "Escape":
+      return "cancel";
+    case "ArrowRight":
+      return "next";
+    case "r":
+    case "R":
+      return "repeat";
+    case "h":
+    case "H":
+    case "?":
+      return "help";
+    default:
+      return null;
+  }
+}
+
+// Evita que los atajos interfieran al escribir en campos de texto
+function isTextField(element) {
+  if (!element) return false;
+  if (element.isContentEditable) return true;
+  if (element.tagName === "TEXTAREA" || element.tagName === "SELECT") {
+    return true;
+  }
+  if (element.tagName === "INPUT") {
+    const nonTextTypes = ["button", "checkbox", "radio", "range", "submit"];
+    return !nonTextTypes.includes(element.type);
+  }
+  return false;
+}
+
+function useKeyboardInput(onCommand, enabled = true) {
+  // Guardamos el callback en un ref para no re-registrar el listener en cada render
+  const onCommandRef = useRef(onCommand);
+
+  useEffect(() => {
+    onCommandRef.current = onCommand;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      if (event.repeat || isTextField(event.target)) return;
+
+      const command = parseKeyCommand(event);
+      if (command === null) return;
+
+      // Enter sobre un botón enfocado debe activar ese botón de forma nativa,
+      // salvo en las opciones: ahí confirma la respuesta pendiente (o la de
+      // una confirmación de voz o gesto abierta) como en cualquier otro sitio.
+      // Si no hay nada que confirmar, el clic nativo responde la enfocada.
+      const focusedButton =
+        event.target instanceof HTMLElement &&
+        event.target.closest("button, a[href]");
+      if (
+        command === "confirm" &&
+        focusedButton &&
+        !focusedButton.matches("[data-option]")
+      ) {
+        return;
+      }
+
+      const handled = onCommandRef.current(command);
+      if (handled) {
+        // También evita el clic nativo del botón de opción enfocado
+        event.preventDefault();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [enabled]);
+}
+
+// =====================
+// Temporizador por pregunta (modo con tiempo)
+// =====================
+const TIME_LIMIT_CHOICES = [15, 20, 30, 45, 60, 90, 120];
+// Segundos restantes en los que se avisa por vibración, voz y lector de pantalla
+const TIMER_WARNING_THRESHOLDS = [10, 5, 3];
+const TIMER_TICK_MS = 250;
+// Respuesta registrada cuando se agota el tiempo (ninguna opción elegida)
+const TIMED_OUT = -1;
+
+// Intervalo entre pitidos según el tiempo restante: se aceleran al acercarse a 0
+function getTimerBeepInterval(remainingMs) {
+  if (remainingMs <= 3000) return 250;
+  if (remainingMs <= 5000) return 500;
+  if (remainingMs <= 10000) return 1000;
+  return null;
+}
+
+// Cuenta atrás que se reinicia con `resetKey` y solo avanza mientras `running`
+function useQuestionTimer({
+  enabled,
+  limitSeconds,
+  running,
+  resetKey,
+  onTick,
+  onExpire,
+}) {
+  const [remainingMs, setRemainingMs] = useState(limitSeconds * 1000);
+  const remainingRef = useRef(limitSeconds * 1000);
+  const callbacksRef = useRef({ onTick, onExpire });
+
+  useEffect(() => {
+    callbacksRef.current = { onTick, onExpire };
+  });
+
+  // Reiniciar al cambiar de pregunta, de límite o al activar el modo
+  useEffect(() => {
+    remainingRef.current = limitSeconds * 1000;
+    setRemainingMs(remainingRef.current);
+  }, [resetKey, limitSeconds, enabled]);
+
+  useEffect(() => {
+    if (!enabled || !running || remainingRef.current <= 0) return;
+
+    let last = Date.now();
+    const id = setInterval(() => {
+      const now = Date.now();
+      const prev = remainingRef.current;
+      const nextMs = Math.max(0, prev - (now - last));
+      last = now;
+
+      remainingRef.current = nextMs;
+      setRemainingMs(nextMs);
+      callbacksRef.current.onTick?.(prev, nextMs);
+
+      if (nextMs === 0) {
+        clearInterval(id);
+        callbacksRef.current.onExpire?.();
+      }
+    }, TIMER_TICK_MS);
+
+    return () => clearInterval(id);
+  }, [enabled, running, resetKey, limitSeconds]);
+
+  return { remainingMs, totalMs: limitSeconds * 1000 };
+}
+
+// =====================
+// Almacenamiento local
+// =====================
+const STORAGE_PREFIX = "trivia-multisensorial:";
+
+function readStorage(key) {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? null : JSON.parse(raw);
+  } catch (err) {
+    console.warn("💾 No se pudo leer", key, err);
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    // Modo privado o cuota agotada: la app sigue funcionando sin persistir
+    console.warn("💾 No se pudo guardar", key, err);
+  }
+}
+
+function removeStorage(key) {
+  try {
+    window.localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch (err) {
+    console.warn("💾 No se pudo borrar", key, err);
+  }
+}
+
+// =====================
+// Preferencias sensoriales persistentes
+// =====================
+const PREFERENCES_KEY = "preferences";
+const PREFERENCES_SCHEMA_VERSION = 1;
+
+function matchesMedia(query) {
+  return Boolean(window.matchMedia && window.matchMedia(query).matches);
+}
+
+// Valores iniciales para la primera visita, derivados de las preferencias del sistema
+function getDefaultPreferences() {
+  const prefersReducedMotion = matchesMedia("(prefers-reduced-motion: reduce)");
+  const prefersMoreContrast = matchesMedia("(prefers-contrast: more)");
+
+  return {
+    soundOn: true,
+    vibrationOn: true,
+    voiceOn: false,
+    voiceInputOn: false,
+    gestureInputOn: false,
+    reducedMode: prefersReducedMotion || prefersMoreContrast,
+    timedModeOn: false,
+    timeLimitSeconds: 30,
+    gestureHoldMs: 1000,
+    gestureBindings: DEFAULT_GESTURE_BINDINGS,
+    motionSensitivity: "normal",
+    gestureHands: "both",
+    dominantHand: "right",
+    airPointerOn: false,
+    airPointerDwellMs: 1500,
+    airPointerMirrored: true,
+    airPointerTickOn: true,
+    locale: detectLocale(),
+    speechVoiceURI: "",
+    speechRate: 1,
+    speechPitch: 1,
+    speechVolume: 1,
+    voiceBackend: DEFAULT_SPEECH_BACKEND,
+  };
+}
+
+// Convierte lo guardado (de cualquier versión conocida) al esquema actual.
+// Claves desconocidas o con tipo incorrecto se sustituyen por el valor por defecto.
+function migratePreferences(stored) {
+  const defaults = getDefaultPreferences();
+  if (!stored || typeof stored !== "object") return defaults;
+
+  if (stored.version !== PREFERENCES_SCHEMA_VERSION) {
+    console.warn("💾 Versión de preferencias desconocida:", stored.version);
+    return defaults;
+  }
+
+  const values = stored.values || {};
+  const migrated = Object.fromEntries(
+    Object.entries(defaults).map(([key, fallback]) => [
+      key,
+      typeof values[key] === typeof fallback ? values[key] : fallback,
+    ])
+  );
+  if (!LOCALES[migrated.locale]) migrated.locale = defaults.locale;
+  if (!GESTURE_HOLD_CHOICES.includes(migrated.gestureHoldMs)) {
+    migrated.gestureHoldMs = defaults.gestureHoldMs;
+  }
+  if (!TIME_LIMIT_CHOICES.includes(migrated.timeLimitSeconds)) {
+    migrated.timeLimitSeconds = defaults.timeLimitSeconds;
+  }
+  migrated.gestureBindings = sanitizeGestureBindings(migrated.gestureBindings);
+  if (!MOTION_SENSITIVITIES[migrated.motionSensitivity]) {
+    migrated.motionSensitivity = defaults.motionSensitivity;
+  }
+  if (!GESTURE_HAND_MODES.includes(migrated.gestureHands)) {
+    migrated.gestureHands = defaults.gestureHands;
+  }
+  if (!PERSON_HANDS.includes(migrated.dominantHand)) {
+    migrated.dominantHand = defaults.dominantHand;
+  }
+  if (!AIR_POINTER_DWELL_CHOICES.includes(migrated.airPointerDwellMs)) {
+    migrated.airPointerDwellMs = defaults.airPointerDwellMs;
+  }
+  if (!SPEECH_BACKENDS[migrated.voiceBackend]) {
+    migrated.voiceBackend = defaults.voiceBackend;
+  }
+  for (const [key, { min, max }] of Object.entries(SPEECH_RANGES)) {
+    if (!(migrated[key] >= min && migrated[key] <= max)) {
+      migrated[key] = defaults[key];
+    }
+  }
+  return migrated;
+}
+
+function usePreferences() {
+  const [prefs, setPrefs] = useState(() =>
+    migratePreferences(readStorage(PREFERENCES_KEY))
+  );
+
+  useEffect(() => {
+    writeStorage(PREFERENCES_KEY, {
+      version: PREFERENCES_SCHEMA_VERSION,
+      values: prefs,
+    });
+  }, [prefs]);
+
+  // Estables entre renders para poder usarse en dependencias de efectos
+  const setPreference = useCallback((key, value) => {
+    setPrefs((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const resetPreferences = useCallback(() => {
+    removeStorage(PREFERENCES_KEY);
+    setPrefs(getDefaultPreferences());
+  }, []);
+
+  return { prefs, setPreference, resetPreferences };
+}
+
+// =====================
+// Grabaciones del reconocedor local
+// =====================
+const VOICE_TEMPLATES_KEY = "voiceTemplates";
+const VOICE_TEMPLATES_SCHEMA_VERSION = 1;
+// De cada frase se guardan solo las últimas grabaciones
+const MAX_TEMPLATES_PER_PHRASE = 3;
+
+// templates: { [idioma]: { [frase]: [rasgos de cada grabación] } }
+function useVoiceTemplates() {
+  const [templates, setTemplates] = useState(() => {
+    const stored = readStorage(VOICE_TEMPLATES_KEY);
+    return stored?.version === VOICE_TEMPLATES_SCHEMA_VERSION &&
+      stored.values &&
+      typeof stored.values === "object"
+      ? stored.values
+      : {};
+  });
+
+  useEffect(() => {
+    writeStorage(VOICE_TEMPLATES_KEY, {
+      version: VOICE_TEMPLATES_SCHEMA_VERSION,
+      values: templates,
+    });
+  }, [templates]);
+
+  const addTemplate = useCallback((locale, phrase, features) => {
+    setTemplates((current) => ({
+      ...current,
+      [locale]: {
+        ...current[locale],
+        [phrase]: [...(current[locale]?.[phrase] ?? []), features].slice(
+          -MAX_TEMPLATES_PER_PHRASE
+        ),
+      },
+    }));
+  }, []);
+
+  const clearTemplates = useCallback((locale, phrase) => {
+    setTemplates((current) => {
+      const { [phrase]: _removed, ...rest } = current[locale] ?? {};
+      return { ...current, [locale]: rest };
+    });
+  }, []);
+
+  return { templates, addTemplate, clearTemplates };
+}
+
+// =====================
+// Calibración personal de gestos
+// =====================
+const GESTURE_PROFILE_KEY = "gestureProfile";
+
+// profile: { samples: { [gesto]: [mano normalizada, ...] } } o null sin calibrar
+function useGestureProfile() {
+  const [profile, setProfile] = useState(() => {
+    const stored = readStorage(GESTURE_PROFILE_KEY);
+    return stored?.version === CALIBRATION_SCHEMA_VERSION &&
+      isCalibrationComplete(stored.values)
+      ? stored.values
+      : null;
+  });
+
+  useEffect(() => {
+    if (profile) {
+      writeStorage(GESTURE_PROFILE_KEY, {
+        version: CALIBRATION_SCHEMA_VERSION,
+        values: profile,
+      });
+    } else {
+      removeStorage(GESTURE_PROFILE_KEY);
+    }
+  }, [profile]);
+
+  const clearProfile = useCallback(() => setProfile(null), []);
+
+  return { profile, saveProfile: setProfile, clearProfile };
+}
+
+// =====================
+// Bancos de preguntas (quiz packs)
+// =====================
+// Los cuestionarios se cargan desde JSON en /public/packs. Formato de un pack:
+// {
+//   "schemaVersion": 1, "id": "mi-pack", "title": "...", "description": "...",
+//   "questions": [{ "id": 1, "question": "...", "options": ["..."],
+//                   "correct": 0, "explanation"?: "...", "tags"?: ["..."],
+//                   "difficulty"?: "easy" | "medium" | "hard" }],
+//   "language"?: "es" | "en" | "pt"
+// }
+const QUIZ_PACK_SCHEMA_VERSION = 1;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = OPTION_LETTERS.length;
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const PACKS_BASE_URL = `${import.meta.env.BASE_URL}packs/`;
+
+// Error de carga con mensaje traducible: la interfaz lo muestra con
+// t(error.key, error.params); `message` queda en el idioma por defecto para la consola.
+function createPackError(key, params = {}, details) {
+  const err = new Error(translate(DEFAULT_LOCALE, key, params));
+  err.key = key;
+  err.params = params;
+  if (details) err.details = details;
+  return err;
+}
+
+// Valida un pack y lo normaliza al formato interno ({ id, q, options, correct, ... }).
+// Lanza un Error con la lista completa de problemas en `error.details`
+// (cada uno como { key, params } del catálogo de mensajes).
+function validateQuizPack(data) {
+  const errors = [];
+  const fail = (key, params = {}) => errors.push({ key, params });
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    const detail = { key: "pack.error.notObject", params: {} };
+    throw createPackError(detail.key, detail.params, [detail]);
+  }
+
+  if (data.schemaVersion !== QUIZ_PACK_SCHEMA_VERSION) {
+    fail("pack.error.schemaVersion", {
+      found: data.schemaVersion,
+      expected: QUIZ_PACK_SCHEMA_VERSION,
+    });
+  }
+  if (typeof data.id !== "string" || !data.id.trim()) {
+    fail("pack.error.missingId");
+  }
+  if (typeof data.title !== "string" || !data.title.trim()) {
+    fail("pack.error.missingTitle");
+  }
+  if (data.language !== undefined && !LOCALES[data.language]) {
+    fail("pack.error.language", {
+      language: data.language,
+      allowed: Object.keys(LOCALES).join(", "),
+    });
+  }
+  if (!Array.isArray(data.questions) || data.questions.length === 0) {
+    fail("pack.error.noQuestions");
+  }
+
+  const seenIds = new Set();
+  const questions = (Array.isArray(data.questions) ? data.questions : []).map(
+    (question, i) => {
+      const number = i + 1;
+
+      if (!question || typeof question !== "object") {
+        fail("pack.error.questionNotObject", { number });
+        return null;
+      }
+
+      const { id, options, correct, explanation, tags, difficulty } = question;
+
+      if (
+        (typeof id !== "string" && typeof id !== "number") ||
+        String(id).trim() === ""
+      ) {
+        fail("pack.error.questionMissingId", { number });
+      } else if (seenIds.has(id)) {
+        fail("pack.error.questionDuplicateId", { number, id });
+      } else {
+        seenIds.add(id);
+      }
+
+      if (typeof question.question !== "string" || !question.question.trim()) {
+        fail("pack.error.questionMissingText", { number });
+      }
+
+      if (!Array.isArray(options) || options.length === 0) {
+        fail("pack.error.optionsEmpty", { number });
+      } else {
+        if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+          fail("pack.error.optionsCount", {
+            number,
+            count: options.length,
+            min: MIN_OPTIONS,
+            max: MAX_OPTIONS,
+          });
+        }
+        options.forEach((option, j) => {
+          if (typeof option !== "string" || !option.trim()) {
+            fail("pack.error.optionEmpty", { number, option: j + 1 });
+          }
+        });
+      }
+
+      if (!Number.isInteger(correct)) {
+        fail("pack.error.correctNotInteger", { number });
+      } else if (
+        Array.isArray(options) &&
+        (correct < 0 || correct >= options.length)
+      ) {
+        fail("pack.error.correctOutOfRange", {
+          number,
+          correct,
+          max: options.length - 1,
+        });
+      }
+
+      if (explanation !== undefined && typeof explanation !== "string") {
+        fail("pack.error.explanationType", { number });
+      }
+      if (
+        tags !== undefined &&
+        (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string"))
+      ) {
+        fail("pack.error.tagsType", { number });
+      }
+      if (difficulty !== undefined && !DIFFICULTIES.includes(difficulty)) {
+        fail("pack.error.difficulty", {
+          number,
+          allowed: DIFFICULTIES.join(", "),
+        });
+      }
+
+      return {
+        id,
+        q: question.question,
+        options,
+        correct,
+        explanation,
+        tags: tags || [],
+        difficulty,
+      };
+    }
+  );
+
+  if (errors.length > 0) {
+    const summary = errors
+      .map((error) => translate(DEFAULT_LOCALE, error.key, error.params))
+      .join("\n- ");
+    throw createPackError(
+      "pack.error.invalid",
+      { id: data.id ?? "?", errors: summary },
+      errors
+    );
+  }
+
+  return {
+    id: data.id,
+    title: data.title,
+    description: data.description || "",
+    language: data.language || DEFAULT_LOCALE,
+    questions,
+  };
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw createPackError("pack.error.http", { url, status: response.status });
+  }
+  try {
+    return await response.json();
+  } catch {
+    throw createPackError("pack.error.json", { url });
+  }
+}
+
+async function loadQuizPackCatalog() {
+  const catalog = await fetchJson(`${PACKS_BASE_URL}index.json`);
+  return Array.isArray(catalog.packs) ? catalog.packs : [];
+}
+
+async function loadQuizPack(packId) {
+  const catalog = await loadQuizPackCatalog();
+  const entry = catalog.find((pack) => pack.id === packId);
+  if (!entry) {
+    throw createPackError("pack.error.notFound", { id: packId });
+  }
+
+  const pack = validateQuizPack(
+    await fetchJson(`${PACKS_BASE_URL}${entry.file}`)
+  );
+  if (pack.id !== packId) {
+    throw createPackError("pack.error.idMismatch", {
+      file: entry.file,
+      found: pack.id,
+      expected: packId,
+    });
+  }
+  return pack;
+}
+
+function getPackIdFromUrl() {
+  return new URLSearchParams(window.location.search).get("pack");
+}
+
+function setPackIdInUrl(packId) {
+  const url = new URL(window.location.href);
+  if (packId) url.searchParams.set("pack", packId);
+  else url.searchParams.delete("pack");
+  window.history.replaceState(null, "", url);
+}
 
 // =====================
-// Componente principal
-// =====================
+// Sesión en curso (reanudar tras recargar)
+// =====================
+const SESSION_KEY = "session";
+const SESSION_SCHEMA_VERSION = 1;
+
+function loadSavedSession() {
+  const saved = readStorage(SESSION_KEY);
+  if (!saved || saved.version !== SESSION_SCHEMA_VERSION) return null;
+  if (typeof saved.packId !== "string" || !Array.isArray(saved.order)) {
+    return null;
+  }
+  return saved;
+}
+
+function clearSavedSession() {
+  removeStorage(SESSION_KEY);
+}
+
+// Reconstruye el estado inicial de la partida. Si la sesión guardada ya no
+// encaja con el pack (preguntas añadidas o borradas) se empieza de cero.
+function restoreSession(pack, session) {
+  const fresh = {
+    questions: pack.questions,
+    index: 0,
+    score: 0,
+    answers: [],
+    startedAt: new Date().toISOString(),
+  };
+  if (!session || session.packId !== pack.id) return fresh;
+
+  const byId = new Map(pack.questions.map((question) => [question.id, question]));
+  const questions = session.order.map((id) => byId.get(id));
+  if (
+    questions.length !== pack.questions.length ||
+    questions.some((question) => !question)
+  ) {
+    console.warn("💾 La sesión guardada no coincide con el cuestionario");
+    return fresh;
+  }
+
+  const answers = Array.isArray(session.answers)
+    ? session.answers.filter((answer) => byId.has(answer.questionId))
+    : [];
+
+  return {
+    questions,
+    index: Math.min(Math.max(session.index ?? 0, 0), questions.length - 1),
+    score: answers.filter((answer) => answer.correct).length,
+    answers,
+    startedAt: session.startedAt ?? fresh.startedAt,
+  };
+}
+
+// =====================
+// Aplicación: selección y carga del cuestionario
+// =====================
 export default function App() {
-  const [index, setIndex] = useState(0);
+  const [packId, setPackId] = useState(() => getPackIdFromUrl());
+  const [pack, setPack] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  // Partida sin terminar encontrada al arrancar, pendiente de que el usuario decida
+  const [resumable, setResumable] = useState(() => loadSavedSession());
+  const [initialSession, setInitialSession] = useState(null);
+  const preferences = usePreferences();
+  const {
+    reducedMode,
+    locale,
+    speechVoiceURI,
+    speechRate,
+    speechPitch,
+    speechVolume,
+  } = preferences.prefs;
+  const { setPreference } = preferences;
+
+  const i18n = useMemo(
+    () => ({
+      locale,
+      t: (key, params) => translate(locale, key, params),
+      setLocale: (value) => setPreference("locale", value),
+    }),
+    [locale, setPreference]
+  );
+
+  // Layout effect: se aplica antes de los efectos de los hijos que ya hablan
+  useLayoutEffect(() => {
+    document.documentElement.lang = locale;
+    configureSpeech({
+      lang: getSpeechLang(locale),
+      voiceURI: speechVoiceURI,
+      rate: speechRate,
+      pitch: speechPitch,
+      volume: speechVolume,
+    });
+  }, [locale, speechVoiceURI, speechRate, speechPitch, speechVolume]);
+
+  // Aplicar/remover clase del modo reducido al document (también en la pantalla inicial)
+  useEffect(() => {
+    console.log("Modo reducido cambiado:", reducedMode); // Debug
+
+    if (reducedMode) {
+      document.documentElement.classList.add("reducedMode");
+      document.body.classList.add("reducedMode");
+      console.log("Clases añadidas al DOM");
+      console.log("Html classes:", document.documentElement.className);
+      console.log("Body classes:", document.body.className);
+    } else {
+      document.documentElement.classList.remove("reducedMode");
+      document.body.classList.remove("reducedMode");
+      console.log("Clases removidas del DOM");
+    }
+
+    // Cleanup al desmontar
+    return () => {
+      document.documentElement.classList.remove("reducedMode");
+      document.body.classList.remove("reducedMode");
+    };
+  }, [reducedMode]);
+
+  useEffect(() => {
+    if (!packId) return;
+
+    let cancelled = false;
+    setPack(null);
+    setLoadError(null);
+
+    loadQuizPack(packId)
+      .then((loaded) => {
+        if (!cancelled) setPack(loaded);
+      })
+      .catch((err) => {
+        console.error("📚 Error cargando cuestionario:", err);
+        if (!cancelled) setLoadError(err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [packId]);
+
+  const choosePack = (id) => {
+    setPackIdInUrl(id);
+    setPackId(id);
+  };
+
+  const resumeSession = () => {
+    setInitialSession(resumable);
+    setResumable(null);
+    choosePack(resumable.packId);
+  };
+
+  const discardSession = () => {
+    clearSavedSession();
+    setResumable(null);
+  };
+
+  // La partida que se deja ya no se reanuda: ni la guardada ni la que se
+  // restauró al arrancar (si no, volver a elegir su pack la recuperaría)
+  const changePack = () => {
+    clearSavedSession();
+    setInitialSession(null);
+    setPackIdInUrl(null);
+    setPackId(null);
+    setPack(null);
+    setLoadError(null);
+  };
+
+  let screen;
+  if (resumable) {
+    screen = (
+      <ResumePrompt
+        session={resumable}
+        onResume={resumeSession}
+        onStartOver={discardSession}
+      />
+    );
+  } else if (!packId) {
+    screen = <StartScreen onStart={choosePack} />;
+  } else if (loadError) {
+    screen = <PackLoadError error={loadError} onBack={changePack} />;
+  } else if (!pack) {
+    screen = (
+      <div className={styles.container}>
+        <div className={styles.wrapper}>
+          <main className={styles.mainCard} aria-busy="true">
+            <p className={styles.packStatus} role="status">
+              {i18n.t("app.loadingPack")}
+            </p>
+          </main>
+        </div>
+      </div>
+    );
+  } else {
+    screen = (
+      <TriviaGame
+        key={pack.id}
+        pack={pack}
+        preferences={preferences}
+        initialSession={initialSession}
+        onChangePack={changePack}
+      />
+    );
+  }
+
+  return <I18nContext.Provider value={i18n}>{screen}</I18nContext.Provider>;
+}
+
+// =====================
+// Componente principal
+// =====================
+function TriviaGame({ pack, preferences, initialSession, onChangePack }) {
+  // Estado inicial: nuevo o restaurado desde la sesión guardada
+  const [initial] = useState(() => restoreSession(pack, initialSession));
+  const questions = initial.questions;
+
+  const [index, setIndex] = useState(initial.index);
   const [selected, setSelected] = useState(null);
-  const [score, setScore] = useState(0);
+  const [score, setScore] = useState(initial.score);
   const [showResult, setShowResult] = useState(null);
-
-  // Preferencias del usuario
-  const [soundOn, setSoundOn] = useState(true);
-  const [vibrationOn, setVibrationOn] = useState(true);
-  const [voiceOn, setVoiceOn] = useState(false);
-  const [voiceInputOn, setVoiceInputOn] = useState(false);
-  const [gestureInputOn, setGestureInputOn] = useState(false);
-  const [reducedMode, setReducedMode] = useState(false);
+  // Respuestas dadas: { questionId, selected, correctOption, correct, channel, timeMs, answeredAt }
+  const [answers, setAnswers] = useState(initial.answers);
+  const [startedAt, setStartedAt] = useState(initial.startedAt);
+  // Momento en que se mostró la pregunta actual, para medir el tiempo de respuesta
+  const questionShownAtRef = useRef(Date.now());
+
+  // Preferencias del usuario (persistidas entre sesiones)
+  const { prefs, setPreference, resetPreferences } = preferences;
+  const {
+    soundOn,
+    vibrationOn,
+    voiceOn,
+    voiceInputOn,
+    gestureInputOn,
+    reducedMode,
+    timedModeOn,
+    timeLimitSeconds,
+    gestureHoldMs,
+    gestureBindings,
+    motionSensitivity,
+    gestureHands,
+    dominantHand,
+    airPointerOn,
+    airPointerDwellMs,
+    airPointerMirrored,
+    airPointerTickOn,
+    voiceBackend,
+  } = prefs;
+  const setSoundOn = (value) => setPreference("soundOn", value);
+  const setVibrationOn = (value) => setPreference("vibrationOn", value);
+  const setVoiceOn = (value) => setPreference("voiceOn", value);
+  const setVoiceInputOn = (value) => setPreference("voiceInputOn", value);
+  const setGestureInputOn = (value) => setPreference("gestureInputOn", value);
+  const setReducedMode = (value) => setPreference("reducedMode", value);
+  const setTimedModeOn = (value) => setPreference("timedModeOn", value);
 
   // Nuevas preferencias de accesibilidad
   const [showHelpModal, setShowHelpModal] = useState(false);
 
-  // Estados para reconocimiento de voz
+  // Estados para reconocimiento de voz. pendingVoiceCommand es el índice de la
+  // opción a confirmar o "restart" si lo que espera confirmación es reiniciar
   const [pendingVoiceCommand, setPendingVoiceCommand] = useState(null);
   const [showVoiceConfirmation, setShowVoiceConfirmation] = useState(false);
+  // Opciones entre las que dudó el reconocedor; solo vale para la pregunta en la que se oyó
+  const [voiceClarification, setVoiceClarification] = useState(null);
+  const clarificationCandidates =
+    voiceClarification?.index === index ? voiceClarification.candidates : null;
+  // Última respuesta a un comando de voz (puntaje, opciones…), a la vista junto
+  // al micrófono mientras no cambie la pregunta
+  const [voiceFeedback, setVoiceFeedback] = useState(null);
+  const voiceFeedbackText =
+    voiceFeedback?.index === index ? voiceFeedback.text : null;
 
   // Estados para confirmación de gestos
   const [pendingGestureCommand, setPendingGestureCommand] = useState(null);
   const [showGestureConfirmation, setShowGestureConfirmation] = useState(false);
 
+  // Estado para selección por teclado (teclas numéricas + Enter)
+  const [pendingKeyboardCommand, setPendingKeyboardCommand] = useState(null);
+  const optionRefs = useRef([]);
+
   // Estado para modal de resultados finales
   const [showResultsModal, setShowResultsModal] = useState(false);
   const [resultsAlreadyShown, setResultsAlreadyShown] = useState(false);
   const [triviaCompleted, setTriviaCompleted] = useState(false);
 
-  const { success, error } = useAudioEngine();
-  const voiceRecognition = useVoiceRecognition();
-  const gestureRecognition = useGestureRecognition();
+  const { locale, t, setLocale } = useI18n();
+  const { beep, success, error } = useAudioEngine();
+  const isSpeaking = useIsSpeaking();
+
+  // Al salir de la partida (cambiar de cuestionario) se vacía la cola de voz
+  useEffect(() => () => speechManager.cancelAll(), []);
+
+  // Frases que el motor local puede reconocer en la pregunta actual
+  const voiceTemplates = useVoiceTemplates();
+  const [recordingVoiceTemplate, setRecordingVoiceTemplate] = useState(false);
+  const optionCount = questions[index].options.length;
+  const localVocabulary = useMemo(() => {
+    const recorded = voiceTemplates.templates[locale] ?? {};
+    return getLocalVocabulary(
+      getVoiceGrammar(locale),
+      OPTION_LETTERS.slice(0, optionCount)
+    ).map((phrase) => ({ phrase, templates: recorded[phrase] ?? [] }));
+  }, [voiceTemplates.templates, locale, optionCount]);
+
+  const voiceRecognition = useVoiceRecognition(
+    getSpeechLang(locale),
+    // Mientras se graba una frase no se interpreta como comando
+    isSpeaking || recordingVoiceTemplate,
+    {
+      backend: resolveSpeechBackend(voiceBackend),
+      vocabulary: localVocabulary,
+    }
+  );
+  const gestureProfile = useGestureProfile();
+  // Mientras se calibra, los gestos no responden preguntas
+  const [calibratingGestures, setCalibratingGestures] = useState(false);
+  const boundNamedPoses = useMemo(
+    () => getBoundNamedPoses(gestureBindings),
+    [gestureBindings]
+  );
+  const boundMotionGestures = useMemo(
+    () => getBoundMotionGestures(gestureBindings),
+    [gestureBindings]
+  );
+  const motionSettings = useMemo(
+    () => getMotionGestureSettings(motionSensitivity),
+    [motionSensitivity]
+  );
+  // Con "split" la mano que no es la dominante elige y la dominante confirma
+  const gestureHand =
+    gestureHands === "both"
+      ? "any"
+      : gestureHands === "dominant" || showGestureConfirmation
+      ? dominantHand
+      : PERSON_HANDS.find((hand) => hand !== dominantHand);
+  const gestureRecognition = useGestureRecognition({
+    holdMs: gestureHoldMs,
+    profile: gestureProfile.profile,
+    namedPoses: boundNamedPoses,
+    motionGestures: boundMotionGestures,
+    motionSettings,
+    hand: gestureHand,
+    reducedMode,
+    trackPointer: gestureInputOn && airPointerOn,
+  });
 
   // Manejar el reconocimiento continuo de voz
   useEffect(() => {
@@ -591,90 +2267,98 @@ export default function App() {
     };
   }, [voiceInputOn]);
 
-  // Desactivar voz automáticamente cuando se activa entrada por voz para evitar conflictos
+  const q = useMemo(() => questions[index], [questions, index]);
+
+  // Lo oído durante la pregunta anterior no debe responder la nueva, llegue
+  // por next(), por el comando "siguiente" o tras confirmar una respuesta
+  const clearVoiceTranscript = voiceRecognition.clearTranscript;
   useEffect(() => {
-    if (voiceInputOn && voiceOn) {
-      console.log(
-        "🔇 Desactivando voz automáticamente al activar entrada por voz"
-      );
-      setVoiceOn(false);
-    }
-  }, [voiceInputOn, voiceOn]);
+    clearVoiceTranscript({ discardCurrent: true });
+  }, [index, clearVoiceTranscript]);
 
-  const q = useMemo(() => QUESTIONS[index], [index]);
+  // Sin permiso o sin micrófono no se puede seguir escuchando: avisarlo
+  const voiceRecognitionError = voiceRecognition.error;
+  useEffect(() => {
+    if (voiceRecognitionError && voiceOn) {
+      speak(t(`voiceMic.error.${voiceRecognitionError}`), "alert");
+    }
+  }, [voiceRecognitionError, voiceOn, t]);
 
   const isReducedMotion =
     typeof window !== "undefined" &&
     window.matchMedia &&
     window.matchMedia("(prefers-reduced-motion: reduce)").matches;
 
-  // Aplicar/remover clase del modo reducido al document
-  useEffect(() => {
-    console.log("Modo reducido cambiado:", reducedMode); // Debug
-
-    if (reducedMode) {
-      document.documentElement.classList.add("reducedMode");
-      document.body.classList.add("reducedMode");
-      console.log("Clases añadidas al DOM");
-      console.log("Html classes:", document.documentElement.className);
-      console.log("Body classes:", document.body.className);
-    } else {
-      document.documentElement.classList.remove("reducedMode");
-      document.body.classList.remove("reducedMode");
-      console.log("Clases removidas del DOM");
-    }
-
-    // Cleanup al desmontar
-    return () => {
-      document.documentElement.classList.remove("reducedMode");
-      document.body.classList.remove("reducedMode");
-    };
-  }, [reducedMode]);
-
   // Anunciar pregunta por voz y en aria-live
   useEffect(() => {
     if (voiceOn && q) {
-      speak(
-        `Pregunta ${index + 1}. ${q.q}. Opciones: ${q.options.join(", ")}.`
-      );
+      speak(describeQuestion(q, index, t));
     }
-  }, [q, index, voiceOn]);
+  }, [q, index, voiceOn, t]);
+
+  const repeatQuestion = () => {
+    speak(describeQuestion(q, index, t));
+  };
 
   // Procesar comandos de voz
   useEffect(() => {
     if (!voiceInputOn || !voiceRecognition.transcript) return;
 
-    const result = voiceRecognition.parseVoiceCommand(
-      voiceRecognition.transcript
-    );
+    const result = parseVoiceCommand(voiceRecognition.transcript, {
+      optionCount: q.options.length,
+      options: q.options,
+      grammar: getVoiceGrammar(locale),
+    });
 
-    if (result.command !== null && result.confidence !== "none") {
-      console.log("🎤 Comando detectado:", result);
+    // Varias opciones encajan casi igual: preguntar en vez de elegir una
+    if (result.ambiguous && !showVoiceConfirmation && selected === null) {
+      console.log("🎤 Comando ambiguo:", result);
+      setVoiceClarification({ index, candidates: result.candidates });
+      voiceRecognition.clearTranscript();
+
+      if (voiceOn) {
+        speak(
+          t("speech.clarify", {
+            choices: describeOptionChoices(q, result.candidates, t),
+          })
+        );
+      }
+      return;
+    }
+
+    if (result.command !== null) {
+      console.log(
+        `🎤 Comando detectado (confianza ${result.confidence.toFixed(2)}):`,
+        result
+      );
+
+      // Navegación, ajustes y ayuda (no durante una confirmación pendiente)
+      if (!showVoiceConfirmation && handleVoiceAppCommand(result.command)) {
+        voiceRecognition.clearTranscript();
+        return;
+      }
 
       // Manejar comandos de confirmación cuando hay una respuesta pendiente
       if (showVoiceConfirmation && pendingVoiceCommand !== null) {
         if (result.command === "confirm") {
-          // Confirmar y procesar la respuesta
-          handleAnswer(pendingVoiceCommand);
-          setPendingVoiceCommand(null);
-          setShowVoiceConfirmation(false);
-          voiceRecognition.clearTranscript();
-
-          // Si no es la última pregunta, pasar automáticamente a la siguiente
-          if (index < QUESTIONS.length - 1) {
-            setTimeout(() => {
-              setIndex(index + 1);
-            }, 1500); // Delay para mostrar el resultado antes de avanzar
-          }
+          // Confirmar y procesar la respuesta (o reiniciar)
+          confirmVoiceCommand();
           return;
         } else if (result.command === "cancel") {
           // Cancelar confirmación y limpiar
+          const restartPending = pendingVoiceCommand === "restart";
           setPendingVoiceCommand(null);
           setShowVoiceConfirmation(false);
           voiceRecognition.clearTranscript();
 
           if (voiceOn) {
-            speak("Respuesta cancelada. Puedes elegir otra opción.");
+            speak(
+              t(
+                restartPending
+                  ? "speech.restartCancelled"
+                  : "speech.answerCancelled"
+              )
+            );
           }
           return;
         }
@@ -685,43 +2369,40 @@ export default function App() {
         // Comandos especiales
         if (result.command === "repeat") {
           if (voiceOn) {
-            speak(
-              `Pregunta ${index + 1}. ${q.q}. Opciones: ${q.options.join(
-                ", "
-              )}.`
-            );
+            speak(describeQuestion(q, index, t));
           }
           voiceRecognition.clearTranscript();
           return;
         }
 
         if (result.command === "next") {
-          if (selected !== null && index < QUESTIONS.length - 1) {
+          if (selected !== null && index < questions.length - 1) {
             setIndex(index + 1);
           }
           voiceRecognition.clearTranscript();
           return;
         }
 
-        // Comandos de respuesta (números 0-3) - solo si no hay respuesta ya seleccionada
+        // Comandos de respuesta (índices de opción) - solo si no hay respuesta ya seleccionada
         if (
           typeof result.command === "number" &&
           result.command >= 0 &&
-          result.command <= 3 &&
+          result.command < q.options.length &&
           selected === null
         ) {
           // Mostrar confirmación y limpiar transcript
+          setVoiceClarification(null);
           setPendingVoiceCommand(result.command);
           setShowVoiceConfirmation(true);
           voiceRecognition.clearTranscript();
 
           // Anunciar confirmación por voz
           if (voiceOn) {
-            const optionLetter = ["A", "B", "C", "D"][result.command];
             speak(
-              `¿Confirmas opción ${optionLetter}: ${
-                q.options[result.command]
-              }? Di "sí" para confirmar o "no" para cancelar.`
+              t("speech.confirmVoice", {
+                letter: getOptionLetter(result.command),
+                text: q.options[result.command],
+              })
             );
           }
         }
@@ -736,6 +2417,8 @@ export default function App() {
     index,
     showVoiceConfirmation,
     pendingVoiceCommand,
+    locale,
+    t,
   ]);
 
   // Manejar activación/desactivación de cámara de gestos
@@ -749,19 +2432,109 @@ export default function App() {
     }
   }, [gestureInputOn, gestureRecognition.isSupported]);
 
-  // Procesar gestos detectados
+  // Las posturas de más de 5 dedos (la opción F por defecto) necesitan las dos
+  // manos, y para elegir una mano hay que ver las dos (setMaxHands no hace
+  // nada si el número de manos no cambia)
+  useEffect(() => {
+    gestureRecognition.setMaxHands(
+      gestureHands === "both"
+        ? getRequiredHands(gestureBindings, q.options.length)
+        : 2
+    );
+  }, [gestureRecognition, gestureHands, gestureBindings, q.options.length]);
+
+  // Postura que abrió la confirmación de gesto ({ pose, timer }): no cuenta
+  // dentro de la confirmación hasta que se suelte, con otra postura o sin mano
+  // durante GESTURE_RELEASE_MS. Si no, los 5 dedos que eligen la E cancelarían
+  // la confirmación en cuanto el reconocimiento parpadease.
+  const gestureReleaseRef = useRef(null);
   useEffect(() => {
+    const release = gestureReleaseRef.current;
+    if (!release) return;
+    clearTimeout(release.timer);
+    if (gestureRecognition.detectedGesture === release.pose) return;
+    release.timer = setTimeout(() => {
+      if (gestureReleaseRef.current === release) {
+        console.log("🤚 Mano soltada: la confirmación ya acepta gestos");
+        gestureReleaseRef.current = null;
+      }
+    }, GESTURE_RELEASE_MS);
+  }, [gestureRecognition.detectedGesture]);
+
+  // Procesar gestos mantenidos: cada gesto cuenta una sola vez, cuando se
+  // ha sostenido el tiempo elegido en las preferencias
+  const lastHandledGestureRef = useRef(null);
+  useEffect(() => {
+    const held = gestureRecognition.heldGesture;
+    if (!held || held === lastHandledGestureRef.current) return;
+    lastHandledGestureRef.current = held;
+
     console.log("🤚 useEffect gestos - Estados:", {
       gestureInputOn,
       selected,
       showGestureConfirmation,
-      detectedGesture: gestureRecognition.detectedGesture,
+      heldGesture: held.gesture,
       confidence: gestureRecognition.confidence,
       isActive: gestureRecognition.isActive,
     });
 
-    if (!gestureInputOn) {
-      console.log("🤚 Gestos desactivados");
+    if (!gestureInputOn) {
+      console.log("🤚 Gestos desactivados");
+      return;
+    }
+
+    if (calibratingGestures) {
+      console.log("🤚 Calibrando gestos");
+      return;
+    }
+
+    if (
+      showGestureConfirmation &&
+      gestureReleaseRef.current?.pose === held.gesture
+    ) {
+      console.log("🤚 Hay que soltar la mano antes de confirmar o cancelar");
+      return;
+    }
+
+    // Qué comando es cada postura lo deciden las asignaciones de las preferencias
+    const context = showGestureConfirmation ? "confirmation" : "question";
+    const command = resolveGestureCommand(
+      gestureBindings,
+      held.gesture,
+      context
+    );
+    console.log("🤚 ¡GESTO CONFIRMADO!", {
+      gesture: held.gesture,
+      command,
+      confidence: gestureRecognition.confidence,
+    });
+
+    if (!command) {
+      console.log("🤚 Gesto sin comando asignado:", held.gesture);
+      return;
+    }
+
+    if (command === "confirm") {
+      console.log("🤚 Confirmando respuesta");
+      confirmGestureCommand();
+      return;
+    }
+    if (command === "cancel") {
+      console.log("🤚 Cancelando");
+      cancelGestureCommand();
+      return;
+    }
+
+    if (command === "help") {
+      setShowHelpModal((open) => !open);
+      return;
+    }
+    if (command === "repeat") {
+      repeatQuestion();
+      return;
+    }
+    if (command === "next") {
+      if (selected !== null && !finished) next();
       return;
     }
 
@@ -770,99 +2543,65 @@ export default function App() {
       return;
     }
 
-    if (gestureRecognition.detectedGesture === null) {
-      console.log("🤚 No hay gesto detectado");
+    // Con el puntero en el aire las opciones se eligen señalando (el índice
+    // extendido contaría como un dedo)
+    if (airPointerOn) {
+      console.log("🤚 Puntero activo: la opción se elige señalando");
       return;
     }
 
-    console.log("🤚 Procesando gesto detectado:", {
-      gesture: gestureRecognition.detectedGesture,
-      confidence: gestureRecognition.confidence,
-    });
-
-    // Solo procesar si la confianza es alta
-    if (gestureRecognition.confidence > 0.8) {
-      console.log("🤚 ¡GESTO CONFIRMADO!");
-
-      // Si estamos en modo confirmación, verificar confirmación/cancelación
-      if (showGestureConfirmation) {
-        const fingerCount = gestureRecognition.detectedGesture;
-
-        // Puño cerrado (0 dedos) = Confirmar
-        if (fingerCount === 0) {
-          console.log("🤚 ¡PUÑO DETECTADO! Confirmando respuesta");
-          confirmGestureCommand();
-          return;
-        }
-
-        // Mano abierta (5 dedos) = Cancelar
-        if (fingerCount === 5) {
-          console.log("🤚 ¡MANO ABIERTA DETECTADA! Cancelando");
-          cancelGestureCommand();
-          return;
-        }
+    const optionIndex = getCommandOption(command);
+    if (optionIndex < q.options.length) {
+      console.log(`🤚 Opción ${getOptionLetter(optionIndex)} por gesto`);
 
-        // Otros gestos durante confirmación se ignoran
-        console.log("🤚 Gesto no reconocido para confirmación:", fingerCount);
-        return;
-      }
+      // Activar confirmación; la postura que la abre no cuenta hasta soltarla
+      clearTimeout(gestureReleaseRef.current?.timer);
+      gestureReleaseRef.current = { pose: held.gesture, timer: null };
+      setPendingGestureCommand(optionIndex);
+      setShowGestureConfirmation(true);
 
-      // Si no hay confirmación pendiente, verificar gestos de selección
-      const fingerCount = gestureRecognition.detectedGesture;
-      let optionIndex = null;
-
-      // Mapear dedos a opciones: 1 dedo = A, 2 dedos = B, etc.
-      if (fingerCount === 1) optionIndex = 0; // A
-      else if (fingerCount === 2) optionIndex = 1; // B
-      else if (fingerCount === 3) optionIndex = 2; // C
-      else if (fingerCount === 4) optionIndex = 3; // D
-
-      if (optionIndex !== null && optionIndex < q.options.length) {
-        console.log(
-          `🤚 ${fingerCount} DEDO(S) DETECTADO! Opción ${
-            ["A", "B", "C", "D"][optionIndex]
-          }`
+      // Anunciar confirmación por voz
+      if (voiceOn) {
+        speak(
+          t("speech.confirmGesture", {
+            letter: getOptionLetter(optionIndex),
+            text: q.options[optionIndex],
+          })
         );
-
-        // Activar confirmación
-        setPendingGestureCommand(optionIndex);
-        setShowGestureConfirmation(true);
-
-        // Anunciar confirmación por voz
-        if (voiceOn) {
-          const optionLetter = ["A", "B", "C", "D"][optionIndex];
-          speak(
-            `¿Confirmas opción ${optionLetter}: ${q.options[optionIndex]}? Haz puño para confirmar o abre la mano para cancelar.`
-          );
-        }
-      } else {
-        console.log("🤚 Gesto no reconocido para selección:", fingerCount);
       }
     } else {
-      console.log("🤚 Confianza insuficiente:", gestureRecognition.confidence);
+      console.log("🤚 La pregunta no tiene esa opción:", optionIndex);
     }
   }, [
-    gestureRecognition.detectedGesture,
-    gestureRecognition.confidence,
+    gestureRecognition.heldGesture,
     gestureInputOn,
+    calibratingGestures,
+    gestureBindings,
+    airPointerOn,
     selected,
     showGestureConfirmation,
     pendingGestureCommand,
     soundOn,
     voiceOn,
     q.options,
+    t,
   ]);
 
   // Confirmar comando de voz
   const confirmVoiceCommand = () => {
+    if (pendingVoiceCommand === "restart") {
+      restart();
+      if (voiceOn) speak(t("speech.restarted"));
+      return;
+    }
     if (pendingVoiceCommand !== null) {
-      handleAnswer(pendingVoiceCommand);
+      handleAnswer(pendingVoiceCommand, "voice");
       setPendingVoiceCommand(null);
       setShowVoiceConfirmation(false);
       voiceRecognition.clearTranscript();
 
       // Si no es la última pregunta, pasar automáticamente a la siguiente
-      if (index < QUESTIONS.length - 1) {
+      if (index < questions.length - 1) {
         setTimeout(() => {
           setIndex(index + 1);
         }, 1500);
@@ -876,7 +2615,13 @@ export default function App() {
     setShowVoiceConfirmation(false);
     voiceRecognition.clearTranscript();
     if (voiceOn) {
-      speak("Comando cancelado. Puedes elegir otra opción.");
+      speak(
+        t(
+          pendingVoiceCommand === "restart"
+            ? "speech.restartCancelled"
+            : "speech.commandCancelled"
+        )
+      );
     }
   };
 
@@ -884,7 +2629,7 @@ export default function App() {
   const confirmGestureCommand = () => {
     if (pendingGestureCommand !== null) {
       console.log("🤚 Confirmando respuesta:", pendingGestureCommand);
-      handleAnswer(pendingGestureCommand);
+      handleAnswer(pendingGestureCommand, "gesture");
 
       // Feedback multisensorial
       if (soundOn) {
@@ -892,8 +2637,11 @@ export default function App() {
         success();
       }
       if (voiceOn) {
-        const optionLetter = ["A", "B", "C", "D"][pendingGestureCommand];
-        speak(`Respuesta ${optionLetter} confirmada`);
+        speak(
+          t("speech.answerConfirmed", {
+            letter: getOptionLetter(pendingGestureCommand),
+          })
+        );
       }
 
       setPendingGestureCommand(null);
@@ -901,7 +2649,7 @@ export default function App() {
 
       // Pasar automáticamente a la siguiente pregunta después de un breve delay
       setTimeout(() => {
-        if (index < QUESTIONS.length - 1) {
+        if (index < questions.length - 1) {
           console.log("🤚 Pasando automáticamente a la siguiente pregunta");
           next();
         }
@@ -915,30 +2663,65 @@ export default function App() {
     setPendingGestureCommand(null);
     setShowGestureConfirmation(false);
     if (voiceOn) {
-      speak("Gesto cancelado. Puedes intentar de nuevo.");
+      speak(t("speech.gestureCancelled"));
     }
   };
 
-  // Limpiar selección/estado cuando cambia la pregunta (excepto cuando terminamos la trivia)
+  // Limpiar selección/estado cuando cambia la pregunta (excepto cuando terminamos la trivia).
+  // Si la pregunta ya se había respondido (p. ej. al reanudar) se restaura su respuesta.
   useEffect(() => {
     // No limpiar si acabamos de terminar la trivia
     if (resultsAlreadyShown) return;
 
-    setSelected(null);
-    setShowResult(null);
+    const previousAnswer = answers.find(
+      (answer) => answer.questionId === questions[index].id
+    );
+    setSelected(previousAnswer ? previousAnswer.selected ?? TIMED_OUT : null);
+    setShowResult(
+      !previousAnswer
+        ? null
+        : previousAnswer.correct
+        ? "ok"
+        : previousAnswer.selected === null
+        ? "timeout"
+        : "ko"
+    );
+    if (!previousAnswer) questionShownAtRef.current = Date.now();
     // Limpiar estados de confirmación
     setPendingVoiceCommand(null);
     setShowVoiceConfirmation(false);
     setPendingGestureCommand(null);
     setShowGestureConfirmation(false);
-  }, [index, resultsAlreadyShown]);
+    setPendingKeyboardCommand(null);
+  }, [index, resultsAlreadyShown, questions, answers]);
+
+  // Guardar la partida en curso para poder reanudarla tras recargar
+  useEffect(() => {
+    if (triviaCompleted) {
+      clearSavedSession();
+      return;
+    }
+    // Nada que reanudar todavía
+    if (index === 0 && answers.length === 0) return;
+
+    writeStorage(SESSION_KEY, {
+      version: SESSION_SCHEMA_VERSION,
+      packId: pack.id,
+      packTitle: pack.title,
+      order: questions.map((question) => question.id),
+      index,
+      answers,
+      startedAt,
+      updatedAt: new Date().toISOString(),
+    });
+  }, [pack, questions, index, answers, startedAt, triviaCompleted]);
 
   // Detectar cuando termina la trivia y mostrar modal con resultados
   useEffect(() => {
     console.log("🔍 Debug trivia:", {
       triviaCompleted,
       index,
-      questionsLength: QUESTIONS.length,
+      questionsLength: questions.length,
       selected,
       showResult,
       resultsAlreadyShown,
@@ -955,43 +2738,45 @@ export default function App() {
         setShowResultsModal(true);
 
         if (voiceOn) {
-          let mensaje = "¡Trivia completada! ";
-
-          // Resultados básicos
-          mensaje += `Obtuviste ${score} respuestas correctas de ${QUESTIONS.length} preguntas. `;
-
-          // Porcentaje
-          const porcentaje = Math.round((score / QUESTIONS.length) * 100);
-          mensaje += `Eso es un ${porcentaje} por ciento de aciertos. `;
-
-          // Mensaje de rendimiento
-          if (score === QUESTIONS.length) {
-            mensaje +=
-              "¡Perfecto! Respondiste todas las preguntas correctamente. ¡Felicitaciones!";
-          } else if (score >= QUESTIONS.length * 0.8) {
-            mensaje += "¡Excelente trabajo! Tienes un gran conocimiento.";
-          } else if (score >= QUESTIONS.length * 0.6) {
-            mensaje += "¡Buen trabajo! Sigue practicando para mejorar.";
-          } else {
-            mensaje += "¡Sigue intentando! La práctica hace al maestro.";
-          }
+          // Resultados básicos, porcentaje y mensaje de rendimiento
+          const mensaje = `${t("speech.results", {
+            score,
+            total: questions.length,
+            percent: Math.round((score / questions.length) * 100),
+          })} ${t(getPerformanceLevel(score, questions.length).key)}`;
 
           console.log("🔊 Leyendo resultados finales:", mensaje);
           speak(mensaje);
         }
       }, 1500); // 1.5 segundos de delay para que se muestre el resultado de la última pregunta
     }
-  }, [triviaCompleted, score, voiceOn, resultsAlreadyShown]);
+  }, [triviaCompleted, score, voiceOn, resultsAlreadyShown, t]);
 
-  const handleAnswer = (optIdx) => {
+  // channel: "click" | "keyboard" | "voice" | "gesture" | "pointer" | "timeout"
+  // optIdx === null indica que se agotó el tiempo sin responder
+  const handleAnswer = (optIdx, channel = "click") => {
     if (selected !== null) return; // ya respondido
-    setSelected(optIdx);
+    const timedOut = optIdx === null;
+    setSelected(timedOut ? TIMED_OUT : optIdx);
+    setPendingKeyboardCommand(null);
     const isCorrect = optIdx === q.correct;
-    setShowResult(isCorrect ? "ok" : "ko");
+    setShowResult(isCorrect ? "ok" : timedOut ? "timeout" : "ko");
     if (isCorrect) setScore((s) => s + 1);
+    setAnswers((prev) => [
+      ...prev,
+      {
+        questionId: q.id,
+        selected: optIdx,
+        correctOption: q.correct,
+        correct: isCorrect,
+        channel,
+        timeMs: Date.now() - questionShownAtRef.current,
+        answeredAt: new Date().toISOString(),
+      },
+    ]);
 
     // Comprobar si es la última pregunta de la trivia
-    const isLastQuestion = index === QUESTIONS.length - 1;
+    const isLastQuestion = index === questions.length - 1;
     if (isLastQuestion) {
       console.log("🏁 Última pregunta respondida - Trivia completada");
       setTriviaCompleted(true);
@@ -1010,12 +2795,74 @@ export default function App() {
 
     // Mensaje por voz (opcional)
     if (voiceOn) {
-      speak(isCorrect ? "Respuesta correcta" : "Respuesta incorrecta");
+      speak(
+        t(
+          isCorrect
+            ? "speech.correct"
+            : timedOut
+            ? "speech.timeout"
+            : "speech.wrong"
+        )
+      );
+    }
+  };
+
+  // Modo con tiempo: se pausa mientras hay una confirmación de voz o gesto pendiente
+  const timerPaused =
+    showVoiceConfirmation || showGestureConfirmation || showHelpModal;
+  const [timerAnnouncement, setTimerAnnouncement] = useState("");
+
+  const handleTimerTick = (prevMs, nextMs) => {
+    // Avisos al cruzar cada umbral (10 s, 5 s, 3 s)
+    TIMER_WARNING_THRESHOLDS.forEach((seconds, i) => {
+      if (prevMs > seconds * 1000 && nextMs <= seconds * 1000) {
+        const message = t("speech.timeLeft", { seconds });
+        setTimerAnnouncement(message);
+        if (vibrationOn && "vibrate" in navigator) {
+          // Un pulso más por cada umbral: 1, 2 y 3 pulsos
+          navigator.vibrate?.(
+            Array.from({ length: (i + 1) * 2 - 1 }, (_, j) =>
+              j % 2 === 0 ? 100 : 60
+            )
+          );
+        }
+        if (voiceOn) speak(message, "alert");
+      }
+    });
+
+    // Pitidos cada vez más rápidos en los últimos 10 segundos
+    const interval = getTimerBeepInterval(nextMs);
+    if (
+      soundOn &&
+      interval &&
+      nextMs > 0 &&
+      Math.ceil(prevMs / interval) !== Math.ceil(nextMs / interval)
+    ) {
+      beep(nextMs <= 3000 ? 1320 : 990, 60, "sine");
     }
   };
 
+  const handleTimeout = () => {
+    console.log("⏱️ Tiempo agotado en la pregunta", index + 1);
+    setTimerAnnouncement(t("speech.timeout"));
+    setPendingVoiceCommand(null);
+    setShowVoiceConfirmation(false);
+    setPendingGestureCommand(null);
+    setShowGestureConfirmation(false);
+    handleAnswer(null, "timeout");
+  };
+
+  const timer = useQuestionTimer({
+    enabled: timedModeOn,
+    limitSeconds: timeLimitSeconds,
+    running: selected === null && !timerPaused && !triviaCompleted,
+    resetKey: index,
+    onTick: handleTimerTick,
+    onExpire: handleTimeout,
+  });
+
   const next = () => {
-    if (index < QUESTIONS.length - 1) {
+    if (index < questions.length - 1) {
       setIndex((i) => i + 1);
       // Limpiar todos los estados al avanzar a la siguiente pregunta
       setSelected(null);
@@ -1024,9 +2871,8 @@ export default function App() {
       setShowVoiceConfirmation(false);
       setPendingGestureCommand(null);
       setShowGestureConfirmation(false);
-      // Limpiar el transcript de voz y detener reconocimiento
-      voiceRecognition.stopListening();
-      voiceRecognition.clearTranscript();
+      setPendingKeyboardCommand(null);
+      // El transcript se descarta en el efecto de cambio de pregunta; la escucha continua sigue
       // NO detener la cámara de gestos aquí - que siga funcionando para la siguiente pregunta
       // if (gestureRecognition.isActive) {
       //   gestureRecognition.stopCamera();
@@ -1035,20 +2881,25 @@ export default function App() {
   };
 
   const restart = () => {
+    clearSavedSession();
     setIndex(0);
     setScore(0);
     setSelected(null);
     setShowResult(null);
+    setAnswers([]);
+    setStartedAt(new Date().toISOString());
     // Limpiar estados de voz al reiniciar
     setPendingVoiceCommand(null);
     setShowVoiceConfirmation(false);
+    setPendingKeyboardCommand(null);
     // Resetear estados del modal de resultados
     setShowResultsModal(false);
     setResultsAlreadyShown(false);
     setTriviaCompleted(false);
-    // Limpiar el transcript de voz y detener reconocimiento
-    voiceRecognition.stopListening();
-    voiceRecognition.clearTranscript();
+    // Lo que quedara por leer de la partida anterior ya no tiene sentido
+    speechManager.cancelAll();
+    // Lo que se estuviera diciendo ya no responde a nada; la escucha continua sigue
+    voiceRecognition.clearTranscript({ discardCurrent: true });
     // Detener cámara de gestos si está activa
     if (gestureRecognition.isActive) {
       gestureRecognition.stopCamera();
@@ -1057,6 +2908,189 @@ export default function App() {
 
   const finished = triviaCompleted || resultsAlreadyShown; // Trivia completada o resultados ya mostrados
 
+  // Procesar comandos de teclado. Devuelve true si el comando se consumió.
+  const handleKeyboardCommand = (command) => {
+    // Los modales tienen prioridad sobre el resto de atajos
+    if (showHelpModal) {
+      if (command === "cancel" || command === "help") {
+        setShowHelpModal(false);
+        return true;
+      }
+      return false;
+    }
+
+    if (showResultsModal) {
+      if (command === "cancel") {
+        setShowResultsModal(false);
+        return true;
+      }
+      return false;
+    }
+
+    // Confirmaciones pendientes de voz o gesto
+    if (showVoiceConfirmation) {
+      if (command === "confirm") confirmVoiceCommand();
+      else if (command === "cancel") cancelVoiceCommand();
+      else return false;
+      return true;
+    }
+
+    if (showGestureConfirmation) {
+      if (command === "confirm") confirmGestureCommand();
+      else if (command === "cancel") cancelGestureCommand();
+      else return false;
+      return true;
+    }
+
+    if (command === "help") {
+      setShowHelpModal(true);
+      return true;
+    }
+
+    if (command === "repeat") {
+      repeatQuestion();
+      return true;
+    }
+
+    // Selección de opción: se marca y se enfoca, Enter la confirma
+    if (typeof command === "number") {
+      if (selected !== null || command >= q.options.length) return false;
+
+      setPendingKeyboardCommand(command);
+      optionRefs.current[command]?.focus();
+
+      if (voiceOn) {
+        speak(
+          t("speech.keyboardSelected", {
+            letter: getOptionLetter(command),
+            text: q.options[command],
+          }),
+          "hint"
+        );
+      }
+      return true;
+    }
+
+    if (command === "confirm") {
+      if (selected === null && pendingKeyboardCommand !== null) {
+        handleAnswer(pendingKeyboardCommand, "keyboard");
+        return true;
+      }
+      if (selected !== null && !finished) {
+        next();
+        return true;
+      }
+      return false;
+    }
+
+    if (command === "cancel" && pendingKeyboardCommand !== null) {
+      setPendingKeyboardCommand(null);
+      return true;
+    }
+
+    if (command === "next" && selected !== null && !finished) {
+      next();
+      return true;
+    }
+
+    return false;
+  };
+
+  useKeyboardInput(handleKeyboardCommand);
+
+  // Puntero en el aire: sustituye a contar dedos para elegir opción
+  const airPointer = useAirPointer({
+    enabled:
+      gestureInputOn &&
+      airPointerOn &&
+      selected === null &&
+      !calibratingGestures &&
+      !showGestureConfirmation &&
+      !showHelpModal,
+    landmarks: gestureRecognition.handLandmarks,
+    mirrored: airPointerMirrored,
+    dwellMs: airPointerDwellMs,
+    targetsRef: optionRefs,
+    onSelect: (optionIndex) => handleAnswer(optionIndex, "pointer"),
+    onEnter: () => {
+      if (soundOn && airPointerTickOn) beep(1200, 25, "sine");
+    },
+  });
+
+  // Comandos de voz que no responden la pregunta. Devuelve true si el comando se consumió.
+  const handleVoiceAppCommand = (command) => {
+    // Con la ayuda abierta solo se escucha la orden de cerrarla
+    if (showHelpModal) {
+      if (command === "close" || command === "cancel") setShowHelpModal(false);
+      return true;
+    }
+
+    if (showResultsModal && (command === "close" || command === "cancel")) {
+      setShowResultsModal(false);
+      return true;
+    }
+
+    // Lo que se pregunta por voz se contesta siempre en voz alta, aunque el
+    // sonido esté desactivado, y queda además escrito junto al micrófono
+    const reply = (text) => {
+      setVoiceFeedback({ index, text });
+      speak(text);
+    };
+
+    const setting = VOICE_SETTING_COMMANDS[command];
+    if (setting) {
+      setPreference(setting.preference, setting.value);
+      // Se confirma siempre: quien usa la voz no ve necesariamente el interruptor
+      speak(t(`speech.setting.${command}`));
+      return true;
+    }
+
+    switch (command) {
+      case "help":
+        setShowHelpModal(true);
+        return true;
+
+      // Reiniciar borra el progreso y la partida guardada: se confirma como
+      // una respuesta, por si la orden se oyó mal
+      case "restart":
+        setVoiceClarification(null);
+        setPendingVoiceCommand("restart");
+        setShowVoiceConfirmation(true);
+        if (voiceOn) speak(t("speech.confirmRestart"));
+        return true;
+
+      case "score":
+        reply(t("speech.score", { score, count: answers.length }));
+        return true;
+
+      case "readOptions":
+        reply(t("speech.options", { options: describeOptions(q) }));
+        return true;
+
+      // Solo repasa la pregunta anterior: ya está respondida y no se vuelve a ella
+      case "reviewPrevious": {
+        const previous = questions[index - 1];
+        if (!previous) {
+          reply(t("speech.noPrevious"));
+          return true;
+        }
+        const answer = answers.find(
+          (item) => item.questionId === previous.id
+        );
+        reply(
+          t("speech.previous", {
+            text: previous.q,
+            review: describeAnswerReview(previous, answer, index, t),
+          })
+        );
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  };
+
   return (
     <div
       className={`${styles.container} 
@@ -1084,7 +3118,7 @@ export default function App() {
           {reducedMode ? "🔅" : "✨"}
         </span>
         <ToggleSwitch
-          label={reducedMode ? "Modo Suave" : "Modo Vibrante"}
+          label={t(reducedMode ? "prefs.reducedOn" : "prefs.reducedOff")}
           checked={reducedMode}
           onChange={setReducedMode}
         />
@@ -1094,43 +3128,205 @@ export default function App() {
         {/* Header */}
         <header className={styles.header}>
           <h1 className={styles.title}>
-            Trivia Multisensorial Accesible
+            {t("app.title")}
             {reducedMode}
           </h1>
-          <div
-            className={styles.preferences}
-            aria-label="Preferencias de estímulos"
-          >
+          <p className={styles.packName} lang={pack.language}>
+            📚 {pack.title}
+          </p>
+          <div className={styles.preferences} aria-label={t("prefs.label")}>
+            <LanguageSelect locale={locale} onChange={setLocale} />
             <ToggleSwitch
-              label="Sonido"
+              label={t("prefs.sound")}
               checked={soundOn}
               onChange={setSoundOn}
             />
             <ToggleSwitch
-              label="Vibración"
+              label={t("prefs.vibration")}
               checked={vibrationOn}
               onChange={setVibrationOn}
             />
             <ToggleSwitch
-              label="Voz"
+              label={t("prefs.voice")}
               checked={voiceOn}
               onChange={setVoiceOn}
-              disabled={voiceInputOn}
             />
             {voiceRecognition.isSupported && (
               <ToggleSwitch
-                label="🎤 Entrada por Voz"
+                label={t("prefs.voiceInput")}
                 checked={voiceInputOn}
                 onChange={setVoiceInputOn}
               />
             )}
             {gestureRecognition.isSupported && (
               <ToggleSwitch
-                label="🤚 Gestos"
+                label={t("prefs.gestures")}
                 checked={gestureInputOn}
                 onChange={setGestureInputOn}
               />
             )}
+            {gestureRecognition.isSupported && gestureInputOn && (
+              <label className={styles.toggleLabel}>
+                <span>{t("prefs.gestureHold")}</span>
+                <select
+                  className={styles.timeLimitSelect}
+                  value={gestureHoldMs}
+                  onChange={(e) =>
+                    setPreference("gestureHoldMs", Number(e.target.value))
+                  }
+                >
+                  {GESTURE_HOLD_CHOICES.map((ms) => (
+                    <option key={ms} value={ms}>
+                      {formatSeconds(ms, locale)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {gestureRecognition.isSupported && gestureInputOn && (
+              <label className={styles.toggleLabel}>
+                <span>{t("prefs.gestureHands")}</span>
+                <select
+                  className={styles.timeLimitSelect}
+                  value={gestureHands}
+                  onChange={(e) =>
+                    setPreference("gestureHands", e.target.value)
+                  }
+                >
+                  {GESTURE_HAND_MODES.map((mode) => (
+                    <option key={mode} value={mode}>
+                      {t(`prefs.gestureHands.${mode}`)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {gestureRecognition.isSupported &&
+              gestureInputOn &&
+              gestureHands !== "both" && (
+                <label className={styles.toggleLabel}>
+                  <span>{t("prefs.dominantHand")}</span>
+                  <select
+                    className={styles.timeLimitSelect}
+                    value={dominantHand}
+                    onChange={(e) =>
+                      setPreference("dominantHand", e.target.value)
+                    }
+                  >
+                    {PERSON_HANDS.map((hand) => (
+                      <option key={hand} value={hand}>
+                        {t(`hand.${hand}`)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            {gestureRecognition.isSupported &&
+              gestureInputOn &&
+              boundMotionGestures.length > 0 && (
+                <label className={styles.toggleLabel}>
+                  <span>{t("prefs.motionSensitivity")}</span>
+                  <select
+                    className={styles.timeLimitSelect}
+                    value={motionSensitivity}
+                    onChange={(e) =>
+                      setPreference("motionSensitivity", e.target.value)
+                    }
+                  >
+                    {Object.keys(MOTION_SENSITIVITIES).map((sensitivity) => (
+                      <option key={sensitivity} value={sensitivity}>
+                        {t(`prefs.motionSensitivity.${sensitivity}`)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            {gestureRecognition.isSupported && gestureInputOn && (
+              <ToggleSwitch
+                label={t("prefs.airPointer")}
+                checked={airPointerOn}
+                onChange={(value) => setPreference("airPointerOn", value)}
+              />
+            )}
+            {gestureRecognition.isSupported && gestureInputOn && airPointerOn && (
+              <>
+                <label className={styles.toggleLabel}>
+                  <span>{t("prefs.airPointerDwell")}</span>
+                  <select
+                    className={styles.timeLimitSelect}
+                    value={airPointerDwellMs}
+                    onChange={(e) =>
+                      setPreference("airPointerDwellMs", Number(e.target.value))
+                    }
+                  >
+                    {AIR_POINTER_DWELL_CHOICES.map((ms) => (
+                      <option key={ms} value={ms}>
+                        {formatSeconds(ms, locale)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <ToggleSwitch
+                  label={t("prefs.airPointerMirrored")}
+                  checked={airPointerMirrored}
+                  onChange={(value) =>
+                    setPreference("airPointerMirrored", value)
+                  }
+                />
+                <ToggleSwitch
+                  label={t("prefs.airPointerTick")}
+                  checked={airPointerTickOn}
+                  onChange={(value) => setPreference("airPointerTickOn", value)}
+                />
+              </>
+            )}
+            <ToggleSwitch
+              label={t("prefs.timedMode")}
+              checked={timedModeOn}
+              onChange={setTimedModeOn}
+            />
+            {timedModeOn && (
+              <label className={styles.toggleLabel}>
+                <span>{t("prefs.timeLimit")}</span>
+                <select
+                  className={styles.timeLimitSelect}
+                  value={timeLimitSeconds}
+                  onChange={(e) =>
+                    setPreference("timeLimitSeconds", Number(e.target.value))
+                  }
+                >
+                  {TIME_LIMIT_CHOICES.map((seconds) => (
+                    <option key={seconds} value={seconds}>
+                      {seconds} s
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <SpeechSettings prefs={prefs} setPreference={setPreference} />
+            <VoiceInputSettings
+              prefs={prefs}
+              setPreference={setPreference}
+              voiceTemplates={voiceTemplates}
+              onRecordingChange={setRecordingVoiceTemplate}
+            />
+            {gestureRecognition.isSupported && (
+              <GestureBindingSettings
+                bindings={gestureBindings}
+                onChange={(value) => setPreference("gestureBindings", value)}
+              />
+            )}
+            <button
+              type="button"
+              className={styles.resetPreferencesButton}
+              onClick={() => {
+                resetPreferences();
+                if (voiceOn) speak(t("prefs.resetDone"));
+              }}
+              title={t("prefs.resetTitle")}
+            >
+              {t("prefs.reset")}
+            </button>
           </div>
         </header>
 
@@ -1138,10 +3334,14 @@ export default function App() {
         <div className={styles.progress}>
           <div className={styles.progressInfo}>
             <span className={styles.progressText}>
-              Pregunta {index + 1} de {QUESTIONS.length}
+              {t("progress.question", {
+                current: index + 1,
+                total: questions.length,
+              })}
             </span>
             <span className={styles.progressText}>
-              Puntaje: <span className={styles.score}>{score}</span>
+              {t("progress.score")}{" "}
+              <span className={styles.score}>{score}</span>
             </span>
           </div>
 
@@ -1149,10 +3349,11 @@ export default function App() {
           <div className={styles.progressBarContainer}>
             <div
               className={styles.progressBar}
-              style={{ width: `${((index + 1) / QUESTIONS.length) * 100}%` }}
-              aria-label={`Progreso: ${index + 1} de ${
-                QUESTIONS.length
-              } preguntas completadas`}
+              style={{ width: `${((index + 1) / questions.length) * 100}%` }}
+              aria-label={t("progress.bar", {
+                current: index + 1,
+                total: questions.length,
+              })}
             >
               <div className={styles.progressBarGlow}></div>
             </div>
@@ -1161,7 +3362,7 @@ export default function App() {
 
           {/* Indicadores de preguntas */}
           <div className={styles.questionIndicators}>
-            {QUESTIONS.map((_, i) => (
+            {questions.map((_, i) => (
               <div
                 key={i}
                 className={`${styles.questionIndicator} ${
@@ -1171,13 +3372,14 @@ export default function App() {
                     ? styles.current
                     : styles.upcoming
                 }`}
-                aria-label={`Pregunta ${i + 1} ${
+                aria-label={t(
                   i < index
-                    ? "completada"
+                    ? "progress.completed"
                     : i === index
-                    ? "actual"
-                    : "pendiente"
-                }`}
+                    ? "progress.current"
+                    : "progress.upcoming",
+                  { number: i + 1 }
+                )}
               >
                 {i < index ? "✓" : i === index ? "●" : "○"}
               </div>
@@ -1189,15 +3391,43 @@ export default function App() {
         <main className={styles.mainCard}>
           {/* Pregunta con aria-live */}
           <div aria-live="polite" className={styles.questionContainer}>
-            <h2 className={`${styles.question} ${styles.completed}`}>{q.q}</h2>
+            <h2
+              className={`${styles.question} ${styles.completed}`}
+              lang={pack.language}
+            >
+              {q.q}
+            </h2>
           </div>
 
+          {/* Cuenta atrás del modo con tiempo */}
+          {timedModeOn && !finished && (
+            <TimerRing
+              remainingMs={timer.remainingMs}
+              totalMs={timer.totalMs}
+              paused={timerPaused}
+              announcement={timerAnnouncement}
+            />
+          )}
+
           {/* Entrada por voz */}
           {voiceInputOn && voiceRecognition.isSupported && (
             <VoiceMicrophone
-              isListening={voiceRecognition.isListening}
+              optionCount={q.options.length}
+              clarification={
+                clarificationCandidates &&
+                describeOptionChoices(q, clarificationCandidates, t)
+              }
+              feedback={voiceFeedbackText}
+              backend={voiceRecognition.backend}
+              untrained={
+                voiceRecognition.backend === "local" &&
+                localVocabulary.every((entry) => entry.templates.length === 0)
+              }
+              status={voiceRecognition.status}
+              error={voiceRecognition.error}
               transcript={voiceRecognition.transcript}
               shouldListen={voiceRecognition.shouldListen}
+              paused={voiceRecognition.paused}
               disabled={selected !== null}
               className={styles.voiceSection}
             />
@@ -1208,7 +3438,9 @@ export default function App() {
             show={showVoiceConfirmation}
             option={pendingVoiceCommand}
             optionText={
-              pendingVoiceCommand !== null ? q.options[pendingVoiceCommand] : ""
+              typeof pendingVoiceCommand === "number"
+                ? q.options[pendingVoiceCommand]
+                : ""
             }
             onConfirm={confirmVoiceCommand}
             onCancel={cancelVoiceCommand}
@@ -1237,6 +3469,25 @@ export default function App() {
               showConfirmation={showGestureConfirmation}
               currentQuestion={q}
               reducedMode={reducedMode}
+              gestureProfile={gestureProfile}
+              calibrating={calibratingGestures}
+              onCalibratingChange={setCalibratingGestures}
+              bindings={gestureBindings}
+              pointerMode={airPointerOn}
+              trackedHand={gestureHand}
+            />
+          )}
+
+          {/* Cursor del puntero en el aire */}
+          {airPointer.position && (
+            <div
+              className={styles.airCursor}
+              style={{
+                left: airPointer.position.x,
+                top: airPointer.position.y,
+                "--dwell-progress": airPointer.progress,
+              }}
+              aria-hidden="true"
             />
           )}
 
@@ -1251,15 +3502,31 @@ export default function App() {
                   : i === selected
                   ? "wrong"
                   : "idle";
-              const optionLetter = ["A", "B", "C", "D"][i];
+              const optionLetter = getOptionLetter(i);
               return (
                 <OptionButton
                   key={i}
-                  text={`${["a)", "b)", "c)", "d)"][i]} ${opt}`}
-                  onClick={() => handleAnswer(i)}
+                  text={`${optionLetter.toLowerCase()}) ${opt}`}
+                  onClick={(e) =>
+                    // detail === 0: clic generado con Enter/Espacio sobre el botón
+                    handleAnswer(i, e.detail === 0 ? "keyboard" : "click")
+                  }
+                  // Al tabular a otra opción se olvida la marcada con su
+                  // número, para que Enter no confirme una que no está enfocada
+                  onFocus={() =>
+                    setPendingKeyboardCommand((pending) =>
+                      pending === i ? pending : null
+                    )
+                  }
                   disabled={selected !== null}
                   state={state}
                   optionLetter={optionLetter}
+                  pending={pendingKeyboardCommand === i}
+                  keyShortcut={String(i + 1)}
+                  buttonRef={(el) => (optionRefs.current[i] = el)}
+                  dwellProgress={
+                    airPointer.target === i ? airPointer.progress : 0
+                  }
                 />
               );
             })}
@@ -1270,17 +3537,29 @@ export default function App() {
             {showResult === "ok" && (
               <StatusBanner
                 type="ok"
-                text="¡Correcto!"
+                text={t("status.correct")}
                 reducedMotion={isReducedMotion}
               />
             )}
             {showResult === "ko" && (
               <StatusBanner
                 type="ko"
-                text="Respuesta incorrecta"
+                text={t("status.wrong")}
+                reducedMotion={isReducedMotion}
+              />
+            )}
+            {showResult === "timeout" && (
+              <StatusBanner
+                type="ko"
+                text={t("status.timeout")}
                 reducedMotion={isReducedMotion}
               />
             )}
+            {showResult && q.explanation && (
+              <p className={styles.explanation} lang={pack.language}>
+                💡 {q.explanation}
+              </p>
+            )}
           </div>
 
           {/* Controles de navegación */}
@@ -1291,7 +3570,7 @@ export default function App() {
                 onClick={next}
                 disabled={selected === null}
               >
-                Siguiente
+                {t("quiz.next")}
               </button>
             ) : null}
           </div>
@@ -1304,7 +3583,13 @@ export default function App() {
               className={`${styles.button} ${styles.restartButton}`}
               onClick={restart}
             >
-              Reiniciar Trivia
+              {t("quiz.restart")}
+            </button>
+            <button
+              className={`${styles.button} ${styles.changePackButton}`}
+              onClick={onChangePack}
+            >
+              {t("pack.change")}
             </button>
           </div>
         )}
@@ -1342,17 +3627,17 @@ export default function App() {
                 <button
                   className={styles.closeButton}
                   onClick={() => setShowResultsModal(false)}
-                  aria-label="Cerrar resultados"
+                  aria-label={t("results.close")}
                 >
                   ✕
                 </button>
 
-                <h2 className={styles.finalTitle}>¡Trivia Completada! 🎉</h2>
+                <h2 className={styles.finalTitle}>{t("results.title")}</h2>
 
                 <div className={styles.scoreBreakdown}>
                   <div className={styles.scoreItem}>
                     <span className={styles.scoreLabel}>
-                      Respuestas Correctas:
+                      {t("results.correct")}
                     </span>
                     <span className={`${styles.scoreValue} ${styles.correct}`}>
                       {score}
@@ -1360,56 +3645,48 @@ export default function App() {
                   </div>
                   <div className={styles.scoreItem}>
                     <span className={styles.scoreLabel}>
-                      Respuestas Incorrectas:
+                      {t("results.incorrect")}
                     </span>
                     <span
                       className={`${styles.scoreValue} ${styles.incorrect}`}
                     >
-                      {QUESTIONS.length - score}
+                      {questions.length - score}
                     </span>
                   </div>
                   <div className={styles.scoreDivider}></div>
                   <div className={styles.scoreItem}>
                     <span className={styles.scoreLabel}>
-                      Total de Preguntas:
+                      {t("results.total")}
                     </span>
                     <span className={styles.scoreValue}>
-                      {QUESTIONS.length}
+                      {questions.length}
                     </span>
                   </div>
                   <div className={styles.scoreItem}>
                     <span className={styles.scoreLabel}>
-                      Porcentaje de Aciertos:
+                      {t("results.percent")}
                     </span>
                     <span
                       className={`${styles.scoreValue} ${styles.percentage}`}
                     >
-                      {Math.round((score / QUESTIONS.length) * 100)}%
+                      {Math.round((score / questions.length) * 100)}%
                     </span>
                   </div>
                 </div>
 
                 <div className={styles.performanceMessage}>
-                  {score === QUESTIONS.length ? (
-                    <p className={styles.perfectScore}>
-                      ¡Perfecto! 🌟 Respondiste todas las preguntas
-                      correctamente.
-                    </p>
-                  ) : score >= QUESTIONS.length * 0.8 ? (
-                    <p className={styles.excellentScore}>
-                      ¡Excelente trabajo! 👏 Tienes un gran conocimiento.
-                    </p>
-                  ) : score >= QUESTIONS.length * 0.6 ? (
-                    <p className={styles.goodScore}>
-                      ¡Buen trabajo! 👍 Sigue practicando para mejorar.
-                    </p>
-                  ) : (
-                    <p className={styles.needsImprovement}>
-                      ¡Sigue intentando! 💪 La práctica hace al maestro.
-                    </p>
-                  )}
+                  {(() => {
+                    const level = getPerformanceLevel(score, questions.length);
+                    return (
+                      <p className={styles[level.className]}>
+                        {t(level.key)} {level.emoji}
+                      </p>
+                    );
+                  })()}
                 </div>
 
+                <AnswerReview questions={questions} answers={answers} />
+
                 <button
                   className={`${styles.navButton} ${styles.restartButton}`}
                   onClick={() => {
@@ -1417,7 +3694,13 @@ export default function App() {
                     restart();
                   }}
                 >
-                  Reiniciar Trivia
+                  {t("quiz.restart")}
+                </button>
+                <button
+                  className={`${styles.navButton} ${styles.changePackButton}`}
+                  onClick={onChangePack}
+                >
+                  {t("pack.change")}
                 </button>
               </div>
             </div>
@@ -1426,19 +3709,20 @@ export default function App() {
 
         {/* Nota de accesibilidad */}
         <p className={styles.accessibilityNote}>
-          Recomendación: activar/desactivar{" "}
-          <span className={styles.highlight}>Sonido</span>,{" "}
-          <span className={styles.highlight}>Vibración</span> y{" "}
-          <span className={styles.highlight}>Voz</span> para evitar la
-          sobrecarga sensorial.
+          {t("note.prefix")}{" "}
+          <span className={styles.highlight}>{t("prefs.sound")}</span>,{" "}
+          <span className={styles.highlight}>{t("prefs.vibration")}</span>{" "}
+          {t("note.and")}{" "}
+          <span className={styles.highlight}>{t("prefs.voice")}</span>{" "}
+          {t("note.suffix")}
         </p>
 
         {/* Botón flotante de ayuda */}
         <button
           className={styles.helpFloatingButton}
           onClick={() => setShowHelpModal(true)}
-          aria-label="Abrir instrucciones de uso"
-          title="Instrucciones de uso"
+          aria-label={t("help.open")}
+          title={t("help.openTitle")}
         >
           <span className={styles.helpIcon}>❓</span>
         </button>
@@ -1488,12 +3772,22 @@ function ToggleSwitch({ label, checked, onChange, disabled = false }) {
 }
 
 function VoiceMicrophone({
-  isListening,
+  optionCount,
+  clarification,
+  feedback,
+  backend,
+  untrained,
+  status,
+  error,
   transcript,
   shouldListen,
+  paused,
   disabled,
   className,
 }) {
+  const { t } = useI18n();
+  const isListening = status === "listening";
+
   return (
     <div
       className={`${styles.voiceMicrophone} ${className || ""} ${
@@ -1535,7 +3829,7 @@ function VoiceMicrophone({
       >
         <span className={styles.micIcon}>🎤</span>
         <span className={styles.statusText}>
-          {shouldListen ? "Modo Voz Activo" : "Modo Voz Inactivo"}
+          {t(shouldListen ? "voiceMic.active" : "voiceMic.inactive")}
         </span>
         {shouldListen && (
           <span className={styles.listeningIndicator}>
@@ -1560,26 +3854,70 @@ function VoiceMicrophone({
 
       {transcript && (
         <div className={styles.transcript}>
-          <span className={styles.transcriptLabel}>Detectado:</span>
+          <span className={styles.transcriptLabel}>
+            {t("voiceMic.detected")}
+          </span>
           <span className={styles.transcriptText}>{transcript}</span>
         </div>
       )}
 
+      {backend && (
+        <span className={styles.voiceBackend}>
+          {t("voiceMic.backend", { backend: t(`asr.backend.${backend}`) })}
+        </span>
+      )}
+
+      {error && (
+        <div className={styles.voiceError} role="alert">
+          {t(`voiceMic.error.${error}`)}
+        </div>
+      )}
+
+      {!error && untrained && (
+        <div className={styles.voiceClarification} role="status">
+          {t("voiceMic.untrained")}
+        </div>
+      )}
+
+      {/* Anunciado también por voz; aquí queda a la vista mientras se decide */}
+      <div className={styles.voiceClarification} aria-live="polite">
+        {clarification && t("voiceMic.clarify", { choices: clarification })}
+      </div>
+
+      {/* Respuesta al último comando (puntaje, opciones, repaso) */}
+      <div className={styles.voiceClarification} role="status">
+        {feedback}
+      </div>
+
       {shouldListen && (
         <div
           className={`${styles.listeningStatus} ${
             isListening ? styles.listening : ""
           }`}
         >
-          {isListening ? (
+          {paused ? (
+            <>
+              <span className={styles.listeningIcon}>🔈</span>
+              <span>{t("voiceMic.paused")}</span>
+            </>
+          ) : status === "restarting" ? (
+            <>
+              <span className={styles.listeningIcon}>🔄</span>
+              <span>{t("voiceMic.restarting")}</span>
+            </>
+          ) : isListening ? (
             <>
               <span className={styles.listeningIcon}>🎤</span>
-              <span>Escuchando... Diga 'Opción A', 'B', 'C' o 'D'</span>
+              <span>
+                {t("voiceMic.listening", {
+                  letters: listOptionLetters(optionCount, t),
+                })}
+              </span>
             </>
           ) : (
             <>
               <span className={styles.listeningIcon}>🎤</span>
-              <span>Reconocimiento activo - Hable cuando esté listo</span>
+              <span>{t("voiceMic.ready")}</span>
             </>
           )}
         </div>
@@ -1596,9 +3934,11 @@ function VoiceConfirmation({
   onCancel,
   className,
 }) {
+  const { t } = useI18n();
   if (!show) return null;
 
-  const optionLetter = ["A", "B", "C", "D"][option];
+  // option es el índice de la respuesta o "restart" para confirmar el reinicio
+  const isRestart = option === "restart";
 
   return (
     <div className={`${styles.voiceConfirmation} ${className || ""}`}>
@@ -1606,18 +3946,28 @@ function VoiceConfirmation({
         <div className={styles.confirmationHeader}>
           <span className={styles.confirmationIcon}>🎤</span>
           <h3 className={styles.confirmationTitle}>
-            Confirmar respuesta por voz
+            {t(isRestart ? "confirm.restartTitle" : "confirm.voiceTitle")}
           </h3>
         </div>
 
         <div className={styles.confirmationContent}>
-          <p className={styles.confirmationText}>
-            Detectaste: <strong>Opción {optionLetter}</strong>
-          </p>
-          <p className={styles.confirmationOption}>"{optionText}"</p>
+          {isRestart ? (
+            <p className={styles.confirmationText}>
+              {t("confirm.restartText")}
+            </p>
+          ) : (
+            <>
+              <p className={styles.confirmationText}>
+                {t("confirm.detected")}{" "}
+                <strong>
+                  {t("confirm.option", { letter: getOptionLetter(option) })}
+                </strong>
+              </p>
+              <p className={styles.confirmationOption}>"{optionText}"</p>
+            </>
+          )}
           <p className={styles.voiceInstructions}>
-            Di <strong>"SÍ"</strong> para ACEPTAR o <strong>"NO"</strong> para
-            CANCELAR
+            {richText(t("confirm.voiceInstructions"))}
           </p>
         </div>
 
@@ -1627,13 +3977,13 @@ function VoiceConfirmation({
             className={`${styles.confirmButton} ${styles.primary}`}
             autoFocus
           >
-            ✓ Confirmar
+            {t("confirm.accept")}
           </button>
           <button
             onClick={onCancel}
             className={`${styles.confirmButton} ${styles.secondary}`}
           >
-            ✗ Cancelar
+            {t("confirm.cancel")}
           </button>
         </div>
       </div>
@@ -1649,9 +3999,10 @@ function GestureConfirmation({
   onCancel,
   className,
 }) {
+  const { t } = useI18n();
   if (!show) return null;
 
-  const optionLetter = ["A", "B", "C", "D"][option];
+  const optionLetter = getOptionLetter(option);
 
   return (
     <div className={`${styles.gestureConfirmation} ${className || ""}`}>
@@ -1659,18 +4010,18 @@ function GestureConfirmation({
         <div className={styles.confirmationHeader}>
           <span className={styles.confirmationIcon}>🤚</span>
           <h3 className={styles.confirmationTitle}>
-            Confirmar respuesta por gesto
+            {t("confirm.gestureTitle")}
           </h3>
         </div>
 
         <div className={styles.confirmationContent}>
           <p className={styles.confirmationText}>
-            Detectaste: <strong>Opción {optionLetter}</strong>
+            {t("confirm.detected")}{" "}
+            <strong>{t("confirm.option", { letter: optionLetter })}</strong>
           </p>
           <p className={styles.confirmationOption}>"{optionText}"</p>
           <p className={styles.gestureInstructions}>
-            🤜 Haz <strong>puño</strong> para confirmar | 🖐️{" "}
-            <strong>Abre la mano</strong> para cancelar
+            {richText(t("confirm.gestureInstructions"))}
           </p>
         </div>
 
@@ -1680,13 +4031,13 @@ function GestureConfirmation({
             className={`${styles.confirmButton} ${styles.primary}`}
             autoFocus
           >
-            ✓ Confirmar
+            {t("confirm.accept")}
           </button>
           <button
             onClick={onCancel}
             className={`${styles.confirmButton} ${styles.secondary}`}
           >
-            ✗ Cancelar
+            {t("confirm.cancel")}
           </button>
         </div>
       </div>
@@ -1694,7 +4045,18 @@ function GestureConfirmation({
   );
 }
 
-function OptionButton({ text, onClick, disabled, state, optionLetter }) {
+function OptionButton({
+  text,
+  onClick,
+  onFocus,
+  disabled,
+  state,
+  optionLetter,
+  pending = false,
+  keyShortcut,
+  buttonRef,
+  dwellProgress = 0,
+}) {
   const icon = {
     idle: "",
     correct: "✔",
@@ -1703,142 +4065,278 @@ function OptionButton({ text, onClick, disabled, state, optionLetter }) {
 
   return (
     <button
-      className={`${styles.optionButton} ${styles[state]} ${styles.option}`}
+      ref={buttonRef}
+      className={`${styles.optionButton} ${styles[state]} ${styles.option} ${
+        pending ? styles.selected : ""
+      } ${dwellProgress > 0 ? styles.dwelling : ""}`}
+      style={{ "--dwell-progress": dwellProgress }}
       onClick={onClick}
+      onFocus={onFocus}
       disabled={disabled}
       aria-disabled={disabled}
+      aria-pressed={pending}
+      aria-keyshortcuts={keyShortcut}
       data-option={optionLetter}
     >
       <span className={styles.optionIcon} aria-hidden>
         {icon}
       </span>
       <span>{text}</span>
+      {/* Relleno mientras el puntero en el aire se mantiene encima */}
+      <span className={styles.dwellFill} aria-hidden="true" />
     </button>
   );
 }
 
-function GestureInterface({
+// =====================
+// Asistente de calibración de gestos
+// =====================
+// Recorre las posturas de CALIBRATION_GESTURES: en cada una la persona pulsa
+// "Grabar" y, mientras mantiene su versión del gesto, se toman varias muestras.
+const CALIBRATION_CAPTURE_INTERVAL_MS = 300;
+
+function GestureCalibration({
   gestureRecognition,
-  pendingCommand,
-  showConfirmation,
-  currentQuestion,
-  reducedMode,
+  bindings,
+  onSave,
+  onCancel,
 }) {
-  const canvasRef = useRef(null);
+  const { t } = useI18n();
+  const [step, setStep] = useState(0);
+  const [samples, setSamples] = useState({});
+  const [capturing, setCapturing] = useState(false);
+  const [handMissing, setHandMissing] = useState(false);
+  const savedRef = useRef(false);
+  const { captureHandSample } = gestureRecognition;
 
-  // Dibuja los landmarks de la mano en el canvas overlay
-  const drawHandLandmarks = () => {
-    const canvas = canvasRef.current;
-    const video = gestureRecognition.videoRef.current;
+  const gesture = CALIBRATION_GESTURES[step];
+  const recorded = samples[gesture]?.length ?? 0;
 
-    if (!canvas || !video || !gestureRecognition.handLandmarks) return;
-
-    const ctx = canvas.getContext("2d");
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
-
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    const landmarks = gestureRecognition.handLandmarks;
-
-    // Configuración de estilo
-    ctx.fillStyle = reducedMode ? "#00ff88" : "#00ffff";
-    ctx.strokeStyle = reducedMode ? "#00ff88" : "#ff00ff";
-    ctx.lineWidth = reducedMode ? 3 : 2;
+  useEffect(() => {
+    if (!capturing) return;
+    const timer = setInterval(() => {
+      const sample = captureHandSample();
+      setHandMissing(sample === null);
+      if (!sample) return;
+      setSamples((current) => ({
+        ...current,
+        [gesture]: [...(current[gesture] ?? []), sample],
+      }));
+    }, CALIBRATION_CAPTURE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [capturing, gesture, captureHandSample]);
+
+  // Con las muestras suficientes se pasa a la siguiente postura o se termina
+  useEffect(() => {
+    if (recorded < CALIBRATION_SAMPLES_PER_GESTURE || savedRef.current) return;
+    setCapturing(false);
+    if (step < CALIBRATION_GESTURES.length - 1) {
+      setStep(step + 1);
+    } else {
+      savedRef.current = true;
+      console.log("🤚 Calibración de gestos completada");
+      onSave({ samples });
+    }
+  }, [recorded, step, samples, onSave]);
+
+  // Cada postura se presenta con los comandos que la usan ahora mismo
+  const pose = fingersPose(gesture);
+  const usedBy = GESTURE_COMMANDS.filter(
+    ({ command }) => bindings[command] === pose
+  ).map(({ command }) => describeGestureCommand(command, t));
+  const poseLabel = t("calibration.pose", {
+    pose: describePose(pose, t),
+    commands: usedBy.length ? usedBy.join(", ") : t("gestureBindings.none"),
+  });
 
-    // Dibujar puntos de los landmarks
-    landmarks.forEach((landmark, index) => {
-      const x = landmark.x * canvas.width;
-      const y = landmark.y * canvas.height;
+  return (
+    <div className={styles.calibrationPanel}>
+      <h4>{t("calibration.title")}</h4>
+      <p className={styles.calibrationHint}>
+        {t("calibration.step", {
+          current: step + 1,
+          total: CALIBRATION_GESTURES.length,
+        })}
+      </p>
+      <div className={styles.gestureOption}>
+        <span className={styles.gestureEmoji} aria-hidden="true">
+          {getPoseEmoji(pose)}
+        </span>
+        <span>{poseLabel}</span>
+      </div>
+      <p className={styles.calibrationHint} aria-live="polite">
+        {handMissing && capturing
+          ? t("calibration.noHand")
+          : capturing
+          ? t("calibration.recording", {
+              count: recorded,
+              total: CALIBRATION_SAMPLES_PER_GESTURE,
+            })
+          : t("calibration.instructions")}
+      </p>
+      <div className={styles.calibrationActions}>
+        <button
+          type="button"
+          className={styles.resetPreferencesButton}
+          onClick={() => setCapturing(true)}
+          disabled={capturing}
+        >
+          {t("calibration.record")}
+        </button>
+        <button
+          type="button"
+          className={styles.resetPreferencesButton}
+          onClick={onCancel}
+        >
+          {t("calibration.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+}
 
-      ctx.beginPath();
-      ctx.arc(x, y, reducedMode ? 6 : 4, 0, 2 * Math.PI);
-      ctx.fill();
+// =====================
+// Posturas y comandos de gestos en pantalla
+// =====================
+const NAMED_POSE_EMOJIS = {
+  thumbsUp: "👍",
+  pinch: "🤏",
+  peace: "✌️",
+  swipeLeft: "👈",
+  swipeRight: "👉",
+  wave: "👋",
+  raiseHold: "🙋",
+};
+
+function getPoseEmoji(pose) {
+  const count = getPoseFingerCount(pose);
+  if (count === null) return NAMED_POSE_EMOJIS[pose];
+  return count === 0 ? "👊" : OPTION_FINGER_EMOJIS[count - 1];
+}
 
-      // Números en puntos clave
-      if ([0, 4, 8, 12, 16, 20].includes(index)) {
-        ctx.fillStyle = reducedMode ? "#ffffff" : "#ffff00";
-        ctx.font = `${reducedMode ? "14px" : "12px"} Arial`;
-        ctx.fillText(index.toString(), x + 8, y - 8);
-        ctx.fillStyle = reducedMode ? "#00ff88" : "#00ffff";
-      }
+function describePose(pose, t) {
+  const count = getPoseFingerCount(pose);
+  if (count === null) return t(`pose.${pose}`);
+  if (count === 0) return t("gesture.fist");
+  if (count === MAX_FINGERS_ONE_HAND) return t("gesture.openHand");
+  if (count > MAX_FINGERS_ONE_HAND) {
+    return t("gesture.twoHands", {
+      first: MAX_FINGERS_ONE_HAND,
+      second: count - MAX_FINGERS_ONE_HAND,
     });
+  }
+  return t("gesture.fingers", { count });
+}
 
-    // Dibujar conexiones de la mano
-    const connections = [
-      // Pulgar
-      [0, 1],
-      [1, 2],
-      [2, 3],
-      [3, 4],
-      // Índice
-      [0, 5],
-      [5, 6],
-      [6, 7],
-      [7, 8],
-      // Medio
-      [0, 9],
-      [9, 10],
-      [10, 11],
-      [11, 12],
-      // Anular
-      [0, 13],
-      [13, 14],
-      [14, 15],
-      [15, 16],
-      // Meñique
-      [0, 17],
-      [17, 18],
-      [18, 19],
-      [19, 20],
-      // Palma
-      [5, 9],
-      [9, 13],
-      [13, 17],
-    ];
+function describeGestureCommand(command, t) {
+  const option = getCommandOption(command);
+  if (option !== null) {
+    return t("gesture.option", { letter: getOptionLetter(option) });
+  }
+  if (command === "confirm" || command === "cancel") {
+    return t(`gesture.${command}`);
+  }
+  return t(`gestureBindings.command.${command}`);
+}
 
-    connections.forEach(([start, end]) => {
-      const startPoint = landmarks[start];
-      const endPoint = landmarks[end];
+// Anillo que se va llenando mientras se mantiene el gesto (progress de 0 a 1)
+const HOLD_RING_RADIUS = 34;
+const HOLD_RING_LENGTH = 2 * Math.PI * HOLD_RING_RADIUS;
 
-      ctx.beginPath();
-      ctx.moveTo(startPoint.x * canvas.width, startPoint.y * canvas.height);
-      ctx.lineTo(endPoint.x * canvas.width, endPoint.y * canvas.height);
-      ctx.stroke();
-    });
-  };
+function HoldProgressRing({ progress, label, children }) {
+  const percent = Math.round(progress * 100);
+  return (
+    <div
+      className={styles.holdRing}
+      role="progressbar"
+      aria-label={label}
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={percent}
+    >
+      <svg viewBox="0 0 80 80" aria-hidden="true">
+        <circle
+          className={styles.holdRingTrack}
+          cx="40"
+          cy="40"
+          r={HOLD_RING_RADIUS}
+        />
+        <circle
+          className={`${styles.holdRingFill} ${
+            progress >= 1 ? styles.holdRingDone : ""
+          }`}
+          cx="40"
+          cy="40"
+          r={HOLD_RING_RADIUS}
+          strokeDasharray={HOLD_RING_LENGTH}
+          strokeDashoffset={HOLD_RING_LENGTH * (1 - progress)}
+        />
+      </svg>
+      {children}
+    </div>
+  );
+}
 
-  // Actualizar el dibujo cuando cambien los landmarks
-  useEffect(() => {
-    if (gestureRecognition.handLandmarks) {
-      drawHandLandmarks();
-    }
-  }, [gestureRecognition.handLandmarks, reducedMode]);
+function GestureInterface({
+  gestureRecognition,
+  pendingCommand,
+  showConfirmation,
+  currentQuestion,
+  reducedMode,
+  gestureProfile,
+  calibrating,
+  onCalibratingChange,
+  bindings,
+  pointerMode,
+  trackedHand,
+}) {
+  const { t, locale } = useI18n();
 
-  const getGestureInfo = () => {
-    const fingerCount = gestureRecognition.detectedGesture;
-    if (fingerCount === null) return null;
+  const context = showConfirmation ? "confirmation" : "question";
 
-    const options = ["A", "B", "C", "D"];
-    const gestures = ["👆", "✌️", "🤟", "🖖"];
+  // Comando que activaría la postura que se ve ahora, según las asignaciones
+  const getGestureInfo = () => {
+    const pose = gestureRecognition.detectedGesture;
+    if (pose === null) return null;
 
-    if (fingerCount >= 1 && fingerCount <= 4) {
-      return {
-        letter: options[fingerCount - 1],
-        emoji: gestures[fingerCount - 1],
-        text: currentQuestion.options[fingerCount - 1],
-        count: fingerCount,
-      };
+    const command = resolveGestureCommand(bindings, pose, context);
+    if (!command) return null;
+    const option = getCommandOption(command);
+    if (
+      option !== null &&
+      (pointerMode || option >= currentQuestion.options.length)
+    ) {
+      return null;
     }
 
-    if (fingerCount === 0)
-      return { letter: "OK", emoji: "👊", text: "Confirmar", count: 0 };
-    if (fingerCount === 5)
-      return { letter: "CANCEL", emoji: "🖐️", text: "Cancelar", count: 5 };
-
-    return null;
+    return {
+      label: describeGestureCommand(command, t),
+      emoji: getPoseEmoji(pose),
+      pose: describePose(pose, t),
+    };
   };
 
+  // Guía de gestos del momento actual; las opciones sin gesto también se listan
+  const guide = GESTURE_COMMANDS.filter((entry) => {
+    if (entry.context !== context) return false;
+    const option = getCommandOption(entry.command);
+    // Con el puntero en el aire las opciones se eligen señalando
+    return option !== null
+      ? !pointerMode && option < currentQuestion.options.length
+      : bindings[entry.command] !== null;
+  }).map(({ command }) => ({
+    command,
+    pose: bindings[command],
+    label:
+      command === "confirm"
+        ? t("gesture.okLabel")
+        : command === "cancel"
+        ? t("gesture.cancelLabel")
+        : getCommandOption(command) !== null
+        ? getOptionLetter(getCommandOption(command))
+        : describeGestureCommand(command, t),
+  }));
+
   const gestureInfo = getGestureInfo();
 
   return (
@@ -1850,16 +4348,67 @@ function GestureInterface({
       {/* Header con título dinámico */}
       <div className={styles.gestureHeader}>
         <div className={styles.gestureTitle}>
-          🤚 Sistema de Gestos {reducedMode ? "Suave" : "Vibrante"}
+          {t("gesture.title", {
+            mode: t(reducedMode ? "gesture.modeReduced" : "gesture.modeVibrant"),
+          })}
         </div>
         <div className={styles.gestureSubtitle}>
-          {showConfirmation ? "Confirma tu respuesta" : "Selecciona tu opción"}
+          {t(
+            showConfirmation
+              ? "gesture.confirmPrompt"
+              : pointerMode
+              ? "gesture.pointPrompt"
+              : "gesture.selectPrompt"
+          )}
         </div>
       </div>
 
       {/* Error handling */}
       {gestureRecognition.error && (
-        <div className={styles.gestureError}>⚠️ {gestureRecognition.error}</div>
+        <div className={styles.gestureError} role="alert">
+          ⚠️{" "}
+          {t(`gesture.error.${gestureRecognition.error}`, {
+            base: MEDIAPIPE_HANDS_ASSET_BASE,
+          })}
+        </div>
+      )}
+
+      {/* Descarga de los modelos de MediaPipe */}
+      {!gestureRecognition.isReady && !gestureRecognition.error && (
+        <div
+          className={styles.gestureLoading}
+          role="progressbar"
+          aria-label={t("gesture.loading")}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(gestureRecognition.loadProgress * 100)}
+        >
+          <span>
+            {t("gesture.loadingProgress", {
+              percent: Math.round(gestureRecognition.loadProgress * 100),
+            })}
+          </span>
+          <div className={styles.confidenceBar}>
+            <div
+              className={styles.confidenceFill}
+              style={{ width: `${gestureRecognition.loadProgress * 100}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
+
+      {/* Sin manos a la vista: la detección espera a que haya movimiento */}
+      {gestureRecognition.isActive && gestureRecognition.isPaused && (
+        <div className={styles.gestureLoading} role="status">
+          <span>{t("gesture.paused")}</span>
+          <button
+            type="button"
+            className={styles.resetPreferencesButton}
+            onClick={gestureRecognition.resumeTracking}
+          >
+            {t("gesture.resume")}
+          </button>
+        </div>
       )}
 
       {/* Contenedor principal con cámara y controles */}
@@ -1875,7 +4424,10 @@ function GestureInterface({
           />
 
           {/* Canvas overlay para dibujar landmarks */}
-          <canvas ref={canvasRef} className={styles.landmarksOverlay} />
+          <canvas
+            ref={gestureRecognition.attachCanvas}
+            className={styles.landmarksOverlay}
+          />
 
           {/* Overlay de información */}
           <div className={styles.gestureOverlay}>
@@ -1887,23 +4439,30 @@ function GestureInterface({
                 }`}
               ></div>
               <span>
-                {gestureRecognition.isActive
-                  ? "MediaPipe Activo"
-                  : "Iniciando..."}
+                {t(
+                  gestureRecognition.isActive
+                    ? "gesture.active"
+                    : "gesture.starting"
+                )}
               </span>
             </div>
 
             {/* Detección actual */}
             {gestureInfo && (
               <div className={styles.currentDetection}>
-                <div className={styles.gestureEmoji}>{gestureInfo.emoji}</div>
+                <HoldProgressRing
+                  progress={gestureRecognition.holdProgress}
+                  label={t("gesture.hold", {
+                    seconds: formatSeconds(gestureRecognition.holdMs, locale),
+                  })}
+                >
+                  <div className={styles.gestureEmoji}>{gestureInfo.emoji}</div>
+                </HoldProgressRing>
                 <div className={styles.gestureInfo}>
                   <div className={styles.gestureOption}>
-                    Opción {gestureInfo.letter}
-                  </div>
-                  <div className={styles.gestureCount}>
-                    {gestureInfo.count} dedo{gestureInfo.count !== 1 ? "s" : ""}
+                    {gestureInfo.label}
                   </div>
+                  <div className={styles.gestureCount}>{gestureInfo.pose}</div>
                 </div>
               </div>
             )}
@@ -1925,61 +4484,802 @@ function GestureInterface({
 
         {/* Panel de instrucciones */}
         <div className={styles.instructionsPanel}>
-          {!showConfirmation ? (
+          {calibrating ? (
+            <GestureCalibration
+              gestureRecognition={gestureRecognition}
+              bindings={bindings}
+              onSave={(profile) => {
+                gestureProfile.saveProfile(profile);
+                onCalibratingChange(false);
+              }}
+              onCancel={() => onCalibratingChange(false)}
+            />
+          ) : (
             <>
-              <h4>Gestos disponibles:</h4>
-              <div className={styles.gestureGuide}>
-                {currentQuestion.options.map((option, index) => (
-                  <div key={index} className={styles.gestureOption}>
+              <h4>
+                {t(
+                  showConfirmation
+                    ? "gesture.confirmChoice"
+                    : "gesture.available"
+                )}
+              </h4>
+              {trackedHand !== "any" && (
+                <p className={styles.gestureHandHint}>
+                  <span
+                    className={`${styles.handSwatch} ${
+                      trackedHand === "left"
+                        ? styles.handSwatchLeft
+                        : styles.handSwatchRight
+                    }`}
+                    aria-hidden="true"
+                  />
+                  {t(`gesture.useHand.${trackedHand}`)}
+                </p>
+              )}
+              <div
+                className={
+                  showConfirmation
+                    ? styles.confirmationGuide
+                    : styles.gestureGuide
+                }
+              >
+                {guide.map(({ command, pose, label }) => (
+                  <div key={command} className={styles.gestureOption}>
                     <span className={styles.gestureEmoji}>
-                      {["👆", "✌️", "🤟", "🖖"][index]}
-                    </span>
-                    <span className={styles.optionLetter}>
-                      {["A", "B", "C", "D"][index]}
+                      {pose ? getPoseEmoji(pose) : "—"}
                     </span>
+                    <span className={styles.optionLetter}>{label}</span>
                     <span className={styles.fingerCount}>
-                      {index + 1} dedo{index !== 0 ? "s" : ""}
+                      {pose ? describePose(pose, t) : t("gestureBindings.none")}
                     </span>
                   </div>
                 ))}
               </div>
-            </>
-          ) : (
-            <>
-              <h4>Confirma tu elección:</h4>
-              <div className={styles.confirmationGuide}>
-                <div className={styles.gestureOption}>
-                  <span className={styles.gestureEmoji}>👊</span>
-                  <span className={styles.optionLetter}>OK</span>
-                  <span className={styles.fingerCount}>Puño cerrado</span>
-                </div>
-                <div className={styles.gestureOption}>
-                  <span className={styles.gestureEmoji}>🖐️</span>
-                  <span className={styles.optionLetter}>CANCEL</span>
-                  <span className={styles.fingerCount}>Mano abierta</span>
+
+              {/* Debug info (solo en modo vibrante) */}
+              {!reducedMode && gestureRecognition.fingersUp.length > 0 && (
+                <div className={styles.debugInfo}>
+                  <small>
+                    Debug: [
+                    {gestureRecognition.fingersUp
+                      .map((f) => (f ? "1" : "0"))
+                      .join(", ")}
+                    ]
+                  </small>
                 </div>
+              )}
+
+              {/* Calibración personal */}
+              <div className={styles.calibrationActions}>
+                {gestureProfile.profile && (
+                  <span className={styles.calibrationStatus}>
+                    {t("calibration.active")}
+                  </span>
+                )}
+                <button
+                  type="button"
+                  className={styles.resetPreferencesButton}
+                  onClick={() => onCalibratingChange(true)}
+                >
+                  {t(
+                    gestureProfile.profile
+                      ? "calibration.redo"
+                      : "calibration.start"
+                  )}
+                </button>
+                {gestureProfile.profile && (
+                  <button
+                    type="button"
+                    className={styles.resetPreferencesButton}
+                    onClick={gestureProfile.clearProfile}
+                  >
+                    {t("calibration.clear")}
+                  </button>
+                )}
               </div>
             </>
           )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ResumePrompt({ session, onResume, onStartOver }) {
+  const { t } = useI18n();
+  const answered = session.answers?.length ?? 0;
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.wrapper}>
+        <header className={styles.header}>
+          <h1 className={styles.title}>{t("app.title")}</h1>
+        </header>
 
-          {/* Debug info (solo en modo vibrante) */}
-          {!reducedMode && gestureRecognition.fingersUp.length > 0 && (
-            <div className={styles.debugInfo}>
-              <small>
-                Debug: [
-                {gestureRecognition.fingersUp
-                  .map((f) => (f ? "1" : "0"))
-                  .join(", ")}
-                ]
-              </small>
+        <main className={styles.mainCard}>
+          <section
+            className={styles.resumePrompt}
+            aria-labelledby="resume-title"
+          >
+            <h2 id="resume-title" className={styles.packLegend}>
+              {t("resume.title")}
+            </h2>
+            <p className={styles.packOptionDescription}>
+              📚{" "}
+              {t("resume.progress", {
+                pack: session.packTitle ?? session.packId,
+                answered,
+                total: session.order.length,
+              })}
+            </p>
+            <div className={styles.controls}>
+              <button
+                className={`${styles.navButton} ${styles.nextButton}`}
+                onClick={onResume}
+                autoFocus
+              >
+                {t("resume.continue")}
+              </button>
+              <button
+                className={`${styles.navButton} ${styles.changePackButton}`}
+                onClick={onStartOver}
+              >
+                {t("resume.startOver")}
+              </button>
             </div>
-          )}
-        </div>
+          </section>
+        </main>
+      </div>
+    </div>
+  );
+}
+
+function StartScreen({ onStart }) {
+  const { locale, t, setLocale } = useI18n();
+  const [catalog, setCatalog] = useState(null);
+  const [catalogError, setCatalogError] = useState(null);
+  const [chosen, setChosen] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadQuizPackCatalog()
+      .then((packs) => {
+        if (!cancelled) setCatalog(packs);
+      })
+      .catch((err) => {
+        console.error("📚 Error cargando el catálogo:", err);
+        if (!cancelled) setCatalogError(err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Cuestionarios del idioma elegido primero; si no se ha marcado ninguno,
+  // se preselecciona el primero de la lista
+  const packs = useMemo(
+    () =>
+      catalog &&
+      [...catalog].sort(
+        (a, b) =>
+          Number((b.language ?? DEFAULT_LOCALE) === locale) -
+          Number((a.language ?? DEFAULT_LOCALE) === locale)
+      ),
+    [catalog, locale]
+  );
+  const selectedId = chosen ?? packs?.[0]?.id ?? null;
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.wrapper}>
+        <header className={styles.header}>
+          <h1 className={styles.title}>{t("app.title")}</h1>
+          <div className={styles.preferences}>
+            <LanguageSelect locale={locale} onChange={setLocale} />
+          </div>
+        </header>
+
+        <main className={styles.mainCard}>
+          <form
+            className={styles.packPicker}
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (selectedId) onStart(selectedId);
+            }}
+          >
+            <fieldset className={styles.packFieldset}>
+              <legend className={styles.packLegend}>
+                {t("start.choosePack")}
+              </legend>
+
+              {catalogError && (
+                <p className={styles.packError} role="alert">
+                  ⚠️{" "}
+                  {catalogError.key
+                    ? t(catalogError.key, catalogError.params)
+                    : catalogError.message}
+                </p>
+              )}
+
+              {!catalog && !catalogError && (
+                <p className={styles.packStatus} role="status">
+                  {t("start.loadingPacks")}
+                </p>
+              )}
+
+              {catalog && catalog.length === 0 && (
+                <p className={styles.packStatus}>{t("start.noPacks")}</p>
+              )}
+
+              {packs?.map((entry) => {
+                const language = entry.language ?? DEFAULT_LOCALE;
+                return (
+                  <label
+                    key={entry.id}
+                    className={`${styles.packOption} ${
+                      selectedId === entry.id ? styles.active : ""
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="pack"
+                      value={entry.id}
+                      checked={selectedId === entry.id}
+                      onChange={() => setChosen(entry.id)}
+                    />
+                    <span className={styles.packOptionText} lang={language}>
+                      <span className={styles.packOptionTitle}>
+                        {entry.title}
+                        {language !== locale && LOCALES[language] && (
+                          <span className={styles.packOptionLanguage}>
+                            {LOCALES[language].label}
+                          </span>
+                        )}
+                      </span>
+                      {entry.description && (
+                        <span className={styles.packOptionDescription}>
+                          {entry.description}
+                        </span>
+                      )}
+                    </span>
+                  </label>
+                );
+              })}
+            </fieldset>
+
+            <button
+              type="submit"
+              className={`${styles.navButton} ${styles.nextButton}`}
+              disabled={!selectedId}
+            >
+              {t("start.begin")}
+            </button>
+          </form>
+        </main>
+      </div>
+    </div>
+  );
+}
+
+function PackLoadError({ error, onBack }) {
+  const { t } = useI18n();
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.wrapper}>
+        <main className={styles.mainCard}>
+          <div className={styles.packError} role="alert">
+            <h2 className={styles.packErrorTitle}>
+              ⚠️ {t("pack.loadErrorTitle")}
+            </h2>
+            {error.details ? (
+              <ul className={styles.packErrorList}>
+                {error.details.map((detail, i) => (
+                  <li key={i}>{t(detail.key, detail.params)}</li>
+                ))}
+              </ul>
+            ) : (
+              <p>{error.key ? t(error.key, error.params) : error.message}</p>
+            )}
+          </div>
+          <div className={styles.controls}>
+            <button
+              className={`${styles.navButton} ${styles.nextButton}`}
+              onClick={onBack}
+            >
+              {t("pack.change")}
+            </button>
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
+
+// =====================
+// Revisión de respuestas
+// =====================
+// Mensaje final según el porcentaje de aciertos (de mayor a menor exigencia)
+const PERFORMANCE_LEVELS = [
+  { min: 1, key: "results.perfect", emoji: "🌟", className: "perfectScore" },
+  { min: 0.8, key: "results.excellent", emoji: "👏", className: "excellentScore" },
+  { min: 0.6, key: "results.good", emoji: "👍", className: "goodScore" },
+  { min: 0, key: "results.keepTrying", emoji: "💪", className: "needsImprovement" },
+];
+
+function getPerformanceLevel(score, total) {
+  return PERFORMANCE_LEVELS.find((level) => score >= total * level.min);
+}
+
+function formatSeconds(ms, locale) {
+  return `${(ms / 1000).toLocaleString(getSpeechLang(locale), {
+    maximumFractionDigits: 1,
+  })} s`;
+}
+
+// Una frase por pregunta, usada tanto en pantalla como al leer en voz alta
+function describeAnswerReview(question, answer, position, t) {
+  const correct = `${getOptionLetter(question.correct)}) ${
+    question.options[question.correct]
+  }`;
+
+  if (!answer || answer.selected === null) {
+    return t("review.summaryUnanswered", { number: position, correct });
+  }
+
+  const chosen = `${getOptionLetter(answer.selected)}) ${
+    question.options[answer.selected]
+  }`;
+  return answer.correct
+    ? t("review.summaryCorrect", { number: position, chosen })
+    : t("review.summaryWrong", { number: position, chosen, correct });
+}
+
+function AnswerReview({ questions, answers }) {
+  const { locale, t } = useI18n();
+  const itemRefs = useRef([]);
+
+  const rows = questions.map((question, i) => ({
+    question,
+    answer: answers.find((answer) => answer.questionId === question.id),
+    position: i + 1,
+  }));
+
+  // Flechas arriba/abajo, Inicio y Fin para moverse entre preguntas
+  const handleKeyDown = (e, i) => {
+    const targets = {
+      ArrowDown: Math.min(i + 1, rows.length - 1),
+      ArrowUp: Math.max(i - 1, 0),
+      Home: 0,
+      End: rows.length - 1,
+    };
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+    itemRefs.current[targets[e.key]]?.focus();
+  };
+
+  // Una locución por pregunta: una alerta solo repite la que interrumpa
+  const readAloud = () => {
+    speak(
+      rows.map(({ question, answer, position }) =>
+        describeAnswerReview(question, answer, position, t)
+      )
+    );
+  };
+
+  return (
+    <section className={styles.answerReview} aria-labelledby="review-title">
+      <div className={styles.answerReviewHeader}>
+        <h3 id="review-title" className={styles.answerReviewTitle}>
+          {t("review.title")}
+        </h3>
+        <button
+          type="button"
+          className={styles.answerReviewRead}
+          onClick={readAloud}
+        >
+          {t("review.readAloud")}
+        </button>
       </div>
+
+      <ol className={styles.answerReviewList}>
+        {rows.map(({ question, answer, position }, i) => {
+          // Un tiempo agotado queda registrado sin opción: cuenta como sin responder
+          const status =
+            !answer || answer.selected === null
+              ? "unanswered"
+              : answer.correct
+              ? "correct"
+              : "wrong";
+
+          return (
+            <li
+              key={question.id}
+              ref={(el) => (itemRefs.current[i] = el)}
+              tabIndex={0}
+              className={`${styles.answerReviewItem} ${styles[status]}`}
+              aria-label={describeAnswerReview(question, answer, position, t)}
+              onKeyDown={(e) => handleKeyDown(e, i)}
+            >
+              <p className={styles.answerReviewQuestion}>
+                <span aria-hidden>
+                  {status === "correct" ? "✔" : status === "wrong" ? "✖" : "—"}
+                </span>{" "}
+                {position}. {question.q}
+              </p>
+              <dl className={styles.answerReviewDetails}>
+                <dt>{t("review.yourAnswer")}</dt>
+                <dd>
+                  {answer && answer.selected !== null
+                    ? `${getOptionLetter(answer.selected)}) ${
+                        question.options[answer.selected]
+                      }`
+                    : t("review.unanswered")}
+                </dd>
+                {status !== "correct" && (
+                  <>
+                    <dt>{t("review.correctAnswer")}</dt>
+                    <dd>
+                      {getOptionLetter(question.correct)}){" "}
+                      {question.options[question.correct]}
+                    </dd>
+                  </>
+                )}
+                {answer?.channel && (
+                  <>
+                    <dt>{t("review.channel")}</dt>
+                    <dd>{t(`channel.${answer.channel}`)}</dd>
+                  </>
+                )}
+                {typeof answer?.timeMs === "number" && (
+                  <>
+                    <dt>{t("review.time")}</dt>
+                    <dd>{formatSeconds(answer.timeMs, locale)}</dd>
+                  </>
+                )}
+              </dl>
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+}
+
+function TimerRing({ remainingMs, totalMs, paused, announcement }) {
+  const { t } = useI18n();
+  const radius = 28;
+  const circumference = 2 * Math.PI * radius;
+  const fraction = totalMs > 0 ? remainingMs / totalMs : 0;
+  const seconds = Math.ceil(remainingMs / 1000);
+  const level =
+    remainingMs <= 5000 ? "critical" : remainingMs <= 10000 ? "warning" : "";
+
+  return (
+    <div className={`${styles.timerRing} ${level ? styles[level] : ""}`}>
+      <svg
+        className={styles.timerSvg}
+        viewBox="0 0 64 64"
+        aria-hidden="true"
+        focusable="false"
+      >
+        <circle className={styles.timerTrack} cx="32" cy="32" r={radius} />
+        <circle
+          className={styles.timerProgress}
+          cx="32"
+          cy="32"
+          r={radius}
+          strokeDasharray={circumference}
+          strokeDashoffset={circumference * (1 - fraction)}
+        />
+      </svg>
+      <span className={styles.timerSeconds} role="timer">
+        {seconds}
+        <span className={styles.srOnly}> {t("timer.secondsLeft")}</span>
+      </span>
+      {paused && (
+        <span className={styles.timerPaused}>{t("timer.paused")}</span>
+      )}
+      {/* Solo se anuncian los umbrales para no saturar al lector de pantalla */}
+      <span className={styles.srOnly} aria-live="assertive">
+        {announcement}
+      </span>
     </div>
   );
 }
 
+// Voces del sistema para un idioma. Chrome las carga de forma asíncrona,
+// así que se vuelven a leer con el evento "voiceschanged".
+function useSpeechVoices(lang) {
+  const [voices, setVoices] = useState([]);
+
+  useEffect(() => {
+    if (!("speechSynthesis" in window)) return;
+
+    const update = () => setVoices(window.speechSynthesis.getVoices());
+    update();
+    window.speechSynthesis.addEventListener("voiceschanged", update);
+    return () =>
+      window.speechSynthesis.removeEventListener("voiceschanged", update);
+  }, []);
+
+  return useMemo(
+    () => voices.filter((voice) => voiceMatchesLang(voice, lang)),
+    [voices, lang]
+  );
+}
+
+// Panel de voz de lectura: voz, velocidad, tono, volumen y prueba
+function SpeechSettings({ prefs, setPreference }) {
+  const { locale, t } = useI18n();
+  const voices = useSpeechVoices(getSpeechLang(locale));
+
+  if (!("speechSynthesis" in window)) return null;
+
+  // Si la voz guardada es de otro idioma se muestra (y usa) la predeterminada
+  const voiceURI = voices.some((voice) => voice.voiceURI === prefs.speechVoiceURI)
+    ? prefs.speechVoiceURI
+    : "";
+
+  const sliders = [
+    { key: "speechRate", label: t("tts.rate"), format: (v) => `${v}×` },
+    { key: "speechPitch", label: t("tts.pitch"), format: (v) => v },
+    {
+      key: "speechVolume",
+      label: t("tts.volume"),
+      format: (v) => `${Math.round(v * 100)}%`,
+    },
+  ];
+
+  return (
+    <details className={styles.speechSettings}>
+      <summary className={styles.resetPreferencesButton}>
+        {t("tts.title")}
+      </summary>
+      <div className={styles.speechSettingsPanel}>
+        <label className={styles.speechSettingsField}>
+          <span>{t("tts.voice")}</span>
+          <select
+            className={styles.timeLimitSelect}
+            value={voiceURI}
+            onChange={(e) => setPreference("speechVoiceURI", e.target.value)}
+          >
+            <option value="">{t("tts.defaultVoice")}</option>
+            {voices.map((voice) => (
+              <option key={voice.voiceURI} value={voice.voiceURI}>
+                {voice.name} ({voice.lang})
+              </option>
+            ))}
+          </select>
+        </label>
+        {voices.length === 0 && (
+          <p className={styles.speechSettingsHint}>{t("tts.noVoices")}</p>
+        )}
+
+        {sliders.map(({ key, label, format }) => (
+          <label key={key} className={styles.speechSettingsField}>
+            <span>{label}</span>
+            <input
+              type="range"
+              {...SPEECH_RANGES[key]}
+              value={prefs[key]}
+              onChange={(e) => setPreference(key, Number(e.target.value))}
+            />
+            <output>{format(prefs[key])}</output>
+          </label>
+        ))}
+
+        <button
+          type="button"
+          className={styles.resetPreferencesButton}
+          onClick={() => speak(t("tts.sample"), "alert")}
+        >
+          {t("tts.preview")}
+        </button>
+      </div>
+    </details>
+  );
+}
+
+// Errores al grabar una frase → mensaje
+const VOICE_RECORDING_ERROR_KEYS = {
+  "no-speech": "asr.error.noSpeech",
+  "not-allowed": "voiceMic.error.permission",
+  "audio-capture": "voiceMic.error.noMicrophone",
+};
+
+// Panel del reconocimiento de voz: motor y grabación de las frases del motor local
+function VoiceInputSettings({
+  prefs,
+  setPreference,
+  voiceTemplates,
+  onRecordingChange,
+}) {
+  const { locale, t } = useI18n();
+  const [recordingPhrase, setRecordingPhrase] = useState(null);
+  const [status, setStatus] = useState("");
+
+  const backend = resolveSpeechBackend(prefs.voiceBackend);
+  const backends = Object.keys(SPEECH_BACKENDS);
+  const recorded = voiceTemplates.templates[locale] ?? {};
+  const phrases = getLocalVocabulary(getVoiceGrammar(locale), OPTION_LETTERS);
+
+  const record = async (phrase) => {
+    setRecordingPhrase(phrase);
+    onRecordingChange(true);
+    setStatus(t("asr.recording", { phrase }));
+    try {
+      const features = await recordVoiceTemplate();
+      voiceTemplates.addTemplate(locale, phrase, features);
+      setStatus(t("asr.recorded", { phrase }));
+    } catch (err) {
+      console.warn("🎙️ No se pudo grabar", phrase, err);
+      setStatus(t(VOICE_RECORDING_ERROR_KEYS[err.code] ?? "asr.error.noSpeech"));
+    } finally {
+      setRecordingPhrase(null);
+      onRecordingChange(false);
+    }
+  };
+
+  return (
+    <details className={styles.speechSettings}>
+      <summary className={styles.resetPreferencesButton}>
+        {t("asr.title")}
+      </summary>
+      <div className={styles.speechSettingsPanel}>
+        <label className={styles.speechSettingsField}>
+          <span>{t("asr.backend")}</span>
+          <select
+            className={styles.timeLimitSelect}
+            value={backend ?? ""}
+            onChange={(e) => setPreference("voiceBackend", e.target.value)}
+          >
+            {backends.map((key) => (
+              <option
+                key={key}
+                value={key}
+                disabled={!isSpeechBackendSupported(key)}
+              >
+                {t(`asr.backend.${key}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {backends
+          .filter((key) => !isSpeechBackendSupported(key))
+          .map((key) => (
+            <p key={key} className={styles.speechSettingsHint}>
+              {t("asr.unsupported", { backend: t(`asr.backend.${key}`) })}
+            </p>
+          ))}
+
+        {backend === "local" && (
+          <>
+            <p className={styles.speechSettingsHint}>{t("asr.trainHint")}</p>
+            <ul className={styles.voiceTrainingList}>
+              {phrases.map((phrase) => {
+                const count = recorded[phrase]?.length ?? 0;
+                return (
+                  <li key={phrase} className={styles.voiceTrainingItem}>
+                    <span className={styles.voiceTrainingPhrase}>{phrase}</span>
+                    <span className={styles.speechSettingsHint}>
+                      {t("asr.samples", { count })}
+                    </span>
+                    <button
+                      type="button"
+                      className={styles.resetPreferencesButton}
+                      disabled={recordingPhrase !== null}
+                      aria-pressed={recordingPhrase === phrase}
+                      onClick={() => record(phrase)}
+                    >
+                      {t("asr.record")}
+                    </button>
+                    <button
+                      type="button"
+                      className={styles.resetPreferencesButton}
+                      disabled={recordingPhrase !== null || count === 0}
+                      onClick={() => voiceTemplates.clearTemplates(locale, phrase)}
+                    >
+                      {t("asr.clear")}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+            <p className={styles.speechSettingsHint} aria-live="polite">
+              {status}
+            </p>
+          </>
+        )}
+      </div>
+    </details>
+  );
+}
+
+// Editor de qué postura activa cada comando. Las posturas repetidas en un
+// mismo momento se marcan y no hacen nada hasta que se corrigen.
+function GestureBindingSettings({ bindings, onChange }) {
+  const { t } = useI18n();
+  const conflicts = findGestureConflicts(bindings);
+  const conflicting = new Set(conflicts.flatMap(({ commands }) => commands));
+
+  return (
+    <details className={styles.speechSettings}>
+      <summary className={styles.resetPreferencesButton}>
+        {t("gestureBindings.title")}
+      </summary>
+      <div className={styles.speechSettingsPanel}>
+        <p className={styles.speechSettingsHint}>{t("gestureBindings.hint")}</p>
+        {GESTURE_COMMANDS.map(({ command }) => (
+          <label key={command} className={styles.speechSettingsField}>
+            <span>{describeGestureCommand(command, t)}</span>
+            <select
+              className={styles.timeLimitSelect}
+              value={bindings[command] ?? ""}
+              aria-invalid={conflicting.has(command)}
+              onChange={(e) =>
+                onChange({ ...bindings, [command]: e.target.value || null })
+              }
+            >
+              <option value="">{t("gestureBindings.none")}</option>
+              {GESTURE_POSES.map((pose) => (
+                <option key={pose} value={pose}>
+                  {getPoseEmoji(pose)} {describePose(pose, t)}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+        {conflicts.length > 0 && (
+          <div className={styles.gestureBindingConflicts} role="alert">
+            {conflicts.map(({ pose, commands }) => (
+              <p key={commands.join()}>
+                {t("gestureBindings.conflict", {
+                  pose: describePose(pose, t),
+                  commands: commands
+                    .map((command) => describeGestureCommand(command, t))
+                    .join(", "),
+                })}
+              </p>
+            ))}
+          </div>
+        )}
+        <button
+          type="button"
+          className={styles.resetPreferencesButton}
+          onClick={() => onChange(DEFAULT_GESTURE_BINDINGS)}
+        >
+          {t("gestureBindings.reset")}
+        </button>
+      </div>
+    </details>
+  );
+}
+
+// Selector de idioma: cambia textos, voz y reconocimiento a la vez
+function LanguageSelect({ locale, onChange }) {
+  const { t } = useI18n();
+
+  return (
+    <label className={styles.toggleLabel}>
+      <span>🌐 {t("app.language")}</span>
+      <select
+        className={styles.timeLimitSelect}
+        value={locale}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {Object.entries(LOCALES).map(([code, { label }]) => (
+          <option key={code} value={code} lang={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
 function StatusBanner({ type, text, reducedMotion }) {
   const icon = type === "ok" ? "✔" : "✖";
 
@@ -1998,15 +5298,17 @@ function StatusBanner({ type, text, reducedMotion }) {
 }
 
 function HelpModal({ onClose }) {
+  const { t } = useI18n();
+
   return (
     <div className={styles.helpModalOverlay} onClick={onClose}>
       <div className={styles.helpModal} onClick={(e) => e.stopPropagation()}>
         <div className={styles.helpModalHeader}>
-          <h2 className={styles.helpModalTitle}>📖 Instrucciones de Uso</h2>
+          <h2 className={styles.helpModalTitle}>{t("help.title")}</h2>
           <button
             className={styles.helpModalClose}
             onClick={onClose}
-            aria-label="Cerrar instrucciones"
+            aria-label={t("help.close")}
           >
             ✕
           </button>
@@ -2014,80 +5316,106 @@ function HelpModal({ onClose }) {
 
         <div className={styles.helpModalContent}>
           <div className={styles.helpSection}>
-            <h3 className={styles.helpSectionTitle}>🎤 Entrada por Voz</h3>
+            <h3 className={styles.helpSectionTitle}>{t("help.voice.title")}</h3>
             <ul className={styles.helpList}>
-              <li>Activa el modo "Entrada por Voz" en los controles</li>
-              <li>
-                Di claramente: "Opción A", "Opción B", "Opción C" o "Opción D"
-              </li>
-              <li>Confirma tu respuesta cuando se te solicite</li>
-              <li>Habla con claridad y en un ambiente silencioso</li>
+              <li>{t("help.voice.enable")}</li>
+              <li>{t("help.voice.say")}</li>
+              <li>{t("help.voice.clarify")}</li>
+              <li>{t("help.voice.confirm")}</li>
+              <li>{t("help.voice.clarity")}</li>
+              <li>{t("help.voice.commands")}</li>
             </ul>
           </div>
 
           <div className={styles.helpSection}>
-            <h3 className={styles.helpSectionTitle}>🤚 Control por Gestos</h3>
+            <h3 className={styles.helpSectionTitle}>
+              {t("help.gestures.title")}
+            </h3>
             <ul className={styles.helpList}>
-              <li>Activa "Gestos" en los controles superiores</li>
-              <li>Permite el acceso a la cámara cuando se solicite</li>
-              <li>Muestra 1, 2, 3 o 4 dedos para seleccionar A, B, C o D</li>
-              <li>Mantén la mano visible y estable frente a la cámara</li>
+              <li>{t("help.gestures.enable")}</li>
+              <li>{t("help.gestures.camera")}</li>
+              <li>{t("help.gestures.count")}</li>
+              <li>{t("help.gestures.twoHands")}</li>
+              <li>{t("help.gestures.steady")}</li>
+              <li>{t("help.gestures.hold")}</li>
+              <li>{t("help.gestures.release")}</li>
+              <li>{t("help.gestures.calibrate")}</li>
+              <li>{t("help.gestures.bindings")}</li>
+              <li>{t("help.gestures.motion")}</li>
+              <li>{t("help.gestures.hands")}</li>
+              <li>{t("help.gestures.pointer")}</li>
             </ul>
           </div>
 
           <div className={styles.helpSection}>
             <h3 className={styles.helpSectionTitle}>
-              ⌨️ Navegación por Teclado
+              {t("help.keyboard.title")}
             </h3>
             <ul className={styles.helpList}>
               <li>
-                <kbd>1</kbd> - <kbd>4</kbd>: Seleccionar opciones A-D
+                <kbd>1</kbd> - <kbd>6</kbd>: {t("help.keyboard.select")}
               </li>
               <li>
-                <kbd>Enter</kbd>: Confirmar respuesta seleccionada
+                <kbd>Enter</kbd>: {t("help.keyboard.enter")}
               </li>
               <li>
-                <kbd>Tab</kbd>: Navegar entre elementos
+                <kbd>→</kbd>: {t("help.keyboard.next")}
               </li>
               <li>
-                <kbd>Escape</kbd>: Cerrar modales
+                <kbd>R</kbd>: {t("help.keyboard.repeat")}
+              </li>
+              <li>
+                <kbd>H</kbd> {t("help.keyboard.or")} <kbd>?</kbd>:{" "}
+                {t("help.keyboard.help")}
               </li>
-            </ul>
-          </div>
-
-          <div className={styles.helpSection}>
-            <h3 className={styles.helpSectionTitle}>
-              ♿ Opciones de Accesibilidad
-            </h3>
-            <ul className={styles.helpList}>
               <li>
-                <strong>Modo Suave:</strong> Reduce animaciones y simplifica la
-                interfaz
+                <kbd>Tab</kbd>: {t("help.keyboard.tab")}
               </li>
               <li>
-                <strong>Sonido/Vibración:</strong> Feedback multisensorial para
-                confirmaciones
+                <kbd>Escape</kbd>: {t("help.keyboard.escape")}
               </li>
             </ul>
           </div>
 
           <div className={styles.helpSection}>
-            <h3 className={styles.helpSectionTitle}>💡 Consejos Generales</h3>
+            <h3 className={styles.helpSectionTitle}>{t("help.a11y.title")}</h3>
             <ul className={styles.helpList}>
               <li>
-                Activa solo los modos que necesites para evitar sobrecarga
-                sensorial
+                <strong>{t("help.a11y.reducedTitle")}</strong>{" "}
+                {t("help.a11y.reduced")}
+              </li>
+              <li>
+                <strong>{t("help.a11y.feedbackTitle")}</strong>{" "}
+                {t("help.a11y.feedback")}
+              </li>
+              <li>
+                <strong>{t("help.a11y.timedTitle")}</strong>{" "}
+                {t("help.a11y.timed")}
+              </li>
+              <li>
+                <strong>{t("help.a11y.ttsTitle")}</strong>{" "}
+                {t("help.a11y.tts")}
               </li>
-              <li>Usa auriculares para mejor experiencia de audio</li>
               <li>
-                Asegúrate de tener buena iluminación para el reconocimiento de
-                gestos
+                <strong>{t("help.a11y.asrTitle")}</strong>{" "}
+                {t("help.a11y.asr")}
               </li>
               <li>
-                Todas las configuraciones se pueden cambiar en cualquier momento
+                <strong>{t("help.a11y.languageTitle")}</strong>{" "}
+                {t("help.a11y.language")}
               </li>
             </ul>
           </div>
+
+          <div className={styles.helpSection}>
+            <h3 className={styles.helpSectionTitle}>{t("help.tips.title")}</h3>
+            <ul className={styles.helpList}>
+              <li>{t("help.tips.channels")}</li>
+              <li>{t("help.tips.headphones")}</li>
+              <li>{t("help.tips.lighting")}</li>
+              <li>{t("help.tips.anytime")}</li>
+            </ul>
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,200 @@
+// =====================
+// Conteo de dedos y posturas a partir de los landmarks de MediaPipe Hands
+// =====================
+// Funciones puras: reciben los 21 puntos de una mano ({ x, y, z } normalizados)
+// y la lateralidad que da MediaPipe ("Left" / "Right"), y deciden qué dedos
+// están extendidos o qué postura con nombre se está haciendo. Se basan en
+// ángulos entre articulaciones y en ejes propios de la mano, así que funcionan
+// con cualquiera de las dos manos y con la mano inclinada o apuntando hacia un lado.
+
+export const HAND_LANDMARK_COUNT = 21;
+
+// Posturas que se reconocen además del número de dedos
+export const NAMED_HAND_POSES = ["thumbsUp", "pinch", "peace"];
+
+const WRIST = 0;
+const THUMB = [1, 2, 3, 4]; // CMC, MCP, IP, punta
+// [MCP, PIP, DIP, punta] de índice, medio, anular y meñique
+const FINGERS = [
+  [5, 6, 7, 8],
+  [9, 10, 11, 12],
+  [13, 14, 15, 16],
+  [17, 18, 19, 20],
+];
+const INDEX_MCP = 5;
+const MIDDLE_MCP = 9;
+const PINKY_MCP = 17;
+const THUMB_MCP = 2;
+const THUMB_TIP = 4;
+const INDEX_PIP = 6;
+const INDEX_TIP = 8;
+const MIDDLE_PIP = 10;
+const MIDDLE_TIP = 12;
+
+// Suma máxima de flexión (grados) en PIP y DIP para contar un dedo como estirado
+const MAX_FINGER_BEND = 70;
+// Flexión máxima en el nudillo: un dedo doblado solo ahí apunta a la cámara
+const MAX_KNUCKLE_BEND = 75;
+// Suma máxima de flexión en MCP e IP del pulgar
+const MAX_THUMB_BEND = 60;
+// Lo que la punta del pulgar debe separarse del nudillo del índice hacia
+// fuera, en proporción al tamaño de la palma
+const MIN_THUMB_SPREAD = 0.3;
+// Por debajo de este ancho relativo la palma se ve de canto y no se puede
+// saber por los landmarks hacia qué lado queda el pulgar
+const MIN_PALM_WIDTH = 0.25;
+// Pulgar arriba: la punta sube al menos esto (en palmas) sobre su nudillo
+const MIN_THUMB_RISE = 0.35;
+// Pinza: puntas de pulgar e índice a menos de esta distancia (en palmas)…
+const MAX_PINCH_GAP = 0.25;
+// …con el índice separado de la palma (en un puño también se tocan)
+const MIN_PINCH_REACH = 0.9;
+// Señal de paz: ángulo mínimo (grados) entre índice y medio
+const MIN_PEACE_SPREAD = 12;
+
+function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: (a.z ?? 0) - (b.z ?? 0) };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function length(v) {
+  return Math.sqrt(dot(v, v));
+}
+
+// Ángulo en grados entre dos vectores
+function angleBetween(u, v) {
+  const lengths = length(u) * length(v);
+  if (lengths === 0) return 0;
+  const cos = Math.min(1, Math.max(-1, dot(u, v) / lengths));
+  return (Math.acos(cos) * 180) / Math.PI;
+}
+
+// Cuánto se dobla la cadena a → b → c en b (0° = en línea recta)
+function bendAngle(a, b, c) {
+  return angleBetween(sub(b, a), sub(c, b));
+}
+
+// Lado de la mano (+1 o -1 sobre el eje perpendicular a muñeca → dedo medio)
+// en el que queda el pulgar. Si la palma se ve de canto se supone que mira a la
+// cámara y se usa la lateralidad: en la imagen, el pulgar de una mano derecha
+// queda a la izquierda.
+function getThumbSide(landmarks, handedness, up, palmSize) {
+  const side = { x: -up.y, y: up.x, z: 0 };
+  const across = dot(sub(landmarks[INDEX_MCP], landmarks[PINKY_MCP]), side);
+  if (Math.abs(across) >= MIN_PALM_WIDTH * palmSize || !handedness) {
+    return { side, sign: Math.sign(across) || 1 };
+  }
+  return { side, sign: handedness === "Right" ? -1 : 1 };
+}
+
+// MediaPipe etiqueta las manos suponiendo una imagen en espejo, como la de un
+// selfie. La de la cámara no lo está, así que su "Left" es la mano derecha de
+// la persona. Devuelve "left" / "right" desde el punto de vista de la persona.
+export function getPersonHand(handedness) {
+  if (handedness === "Left") return "right";
+  if (handedness === "Right") return "left";
+  return null;
+}
+
+function isFingerExtended(landmarks, [mcp, pip, dip, tip]) {
+  const wrist = landmarks[WRIST];
+  const bend =
+    bendAngle(landmarks[mcp], landmarks[pip], landmarks[dip]) +
+    bendAngle(landmarks[pip], landmarks[dip], landmarks[tip]);
+  const knuckleBend = bendAngle(wrist, landmarks[mcp], landmarks[pip]);
+  // La punta debe quedar más lejos de la muñeca que la articulación media
+  const reaching =
+    length(sub(landmarks[tip], wrist)) > length(sub(landmarks[pip], wrist));
+  return bend <= MAX_FINGER_BEND && knuckleBend <= MAX_KNUCKLE_BEND && reaching;
+}
+
+function isThumbStraight(landmarks) {
+  const [cmc, mcp, ip, tip] = THUMB.map((id) => landmarks[id]);
+  return bendAngle(cmc, mcp, ip) + bendAngle(mcp, ip, tip) <= MAX_THUMB_BEND;
+}
+
+function isThumbExtended(landmarks, handedness, up, palmSize) {
+  if (!isThumbStraight(landmarks)) return false;
+  const tip = landmarks[THUMB_TIP];
+
+  const { side, sign } = getThumbSide(landmarks, handedness, up, palmSize);
+  const spread = sign * dot(sub(tip, landmarks[INDEX_MCP]), side);
+  return spread >= MIN_THUMB_SPREAD * palmSize;
+}
+
+// Eje "arriba" de la mano en la imagen (de la muñeca al nudillo del medio) y
+// tamaño de la palma, o null si no se puede medir
+function measurePalm(landmarks) {
+  if (!landmarks || landmarks.length < HAND_LANDMARK_COUNT) return null;
+  const palm = sub(landmarks[MIDDLE_MCP], landmarks[WRIST]);
+  const palmSize = Math.hypot(palm.x, palm.y);
+  if (palmSize === 0) return null;
+  return {
+    up: { x: palm.x / palmSize, y: palm.y / palmSize, z: 0 },
+    palmSize,
+  };
+}
+
+// [pulgar, índice, medio, anular, meñique]: true si el dedo está extendido.
+// handedness es la etiqueta de MediaPipe para esa mano (multiHandedness[i].label).
+export function countFingers(landmarks, handedness = null) {
+  const palm = measurePalm(landmarks);
+  if (!palm) return [];
+  const { up, palmSize } = palm;
+
+  return [
+    isThumbExtended(landmarks, handedness, up, palmSize),
+    ...FINGERS.map((finger) => isFingerExtended(landmarks, finger)),
+  ];
+}
+
+// Posturas de NAMED_HAND_POSES que hace la mano (puede no haber ninguna)
+export function detectNamedPoses(landmarks, handedness = null) {
+  const palm = measurePalm(landmarks);
+  if (!palm) return [];
+  const { palmSize } = palm;
+  const [, index, middle, ring, pinky] = countFingers(landmarks, handedness);
+  const distance = (a, b) => length(sub(landmarks[a], landmarks[b]));
+  const poses = [];
+
+  // Pulgar arriba: el resto de dedos recogidos y el pulgar, estirado, es lo
+  // más alto de la mano (en la imagen la y crece hacia abajo)
+  const thumbTip = landmarks[THUMB_TIP];
+  if (
+    !index &&
+    !middle &&
+    !ring &&
+    !pinky &&
+    isThumbStraight(landmarks) &&
+    landmarks[THUMB_MCP].y - thumbTip.y >= MIN_THUMB_RISE * palmSize &&
+    landmarks.every((point) => point.y >= thumbTip.y)
+  ) {
+    poses.push("thumbsUp");
+  }
+
+  if (
+    distance(THUMB_TIP, INDEX_TIP) <= MAX_PINCH_GAP * palmSize &&
+    distance(INDEX_TIP, WRIST) >= MIN_PINCH_REACH * palmSize
+  ) {
+    poses.push("pinch");
+  }
+
+  // Paz: índice y medio estirados y separados en V, anular y meñique recogidos
+  if (
+    index &&
+    middle &&
+    !ring &&
+    !pinky &&
+    angleBetween(
+      sub(landmarks[INDEX_TIP], landmarks[INDEX_PIP]),
+      sub(landmarks[MIDDLE_TIP], landmarks[MIDDLE_PIP])
+    ) >= MIN_PEACE_SPREAD
+  ) {
+    poses.push("peace");
+  }
+
+  return poses;
+}
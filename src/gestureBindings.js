@@ -0,0 +1,132 @@
+// =====================
+// Asignación de gestos a comandos
+// =====================
+// Cada comando del juego se puede asociar a una postura de la mano: un número
+// de dedos ("fingers:3", sumando las dos manos si hace falta), una postura con
+// nombre de NAMED_HAND_POSES ("thumbsUp", "pinch", "peace") o un movimiento de
+// MOTION_GESTURES ("swipeLeft", "wave"…). Las asignaciones son un objeto
+// { [comando]: postura | null } que se guarda en las preferencias.
+
+import { NAMED_HAND_POSES } from "./fingerCounting.js";
+import { MOTION_GESTURES } from "./motionGestures.js";
+
+// Dedos que se pueden contar con las dos manos (hasta la opción F)
+const MAX_BOUND_FINGERS = 6;
+const FINGERS_ONE_HAND = 5;
+
+// Comandos y el momento en que se pueden usar: "question" mientras se responde
+// y "confirmation" cuando hay una respuesta por gestos pendiente de confirmar.
+// Una misma postura puede servir para un comando de cada momento.
+export const GESTURE_COMMANDS = [
+  { command: "option0", context: "question" },
+  { command: "option1", context: "question" },
+  { command: "option2", context: "question" },
+  { command: "option3", context: "question" },
+  { command: "option4", context: "question" },
+  { command: "option5", context: "question" },
+  { command: "next", context: "question" },
+  { command: "repeat", context: "question" },
+  { command: "help", context: "question" },
+  { command: "confirm", context: "confirmation" },
+  { command: "cancel", context: "confirmation" },
+];
+
+export const GESTURE_POSES = [
+  ...Array.from({ length: MAX_BOUND_FINGERS + 1 }, (_, count) =>
+    fingersPose(count)
+  ),
+  ...NAMED_HAND_POSES,
+  ...MOTION_GESTURES,
+];
+
+// 1 a 6 dedos para A-F, puño confirma y mano abierta cancela; deslizar hacia la
+// izquierda pasa de pregunta, saludar la repite y levantar la mano abre la ayuda
+export const DEFAULT_GESTURE_BINDINGS = {
+  option0: fingersPose(1),
+  option1: fingersPose(2),
+  option2: fingersPose(3),
+  option3: fingersPose(4),
+  option4: fingersPose(5),
+  option5: fingersPose(6),
+  next: "swipeLeft",
+  repeat: "wave",
+  help: "raiseHold",
+  confirm: fingersPose(0),
+  cancel: fingersPose(5),
+};
+
+export function fingersPose(count) {
+  return `fingers:${count}`;
+}
+
+// Número de dedos de una postura "fingers:N", o null si es una postura con nombre
+export function getPoseFingerCount(pose) {
+  const match = /^fingers:(\d+)$/.exec(pose ?? "");
+  return match ? Number(match[1]) : null;
+}
+
+// Índice de opción de un comando "optionN", o null si no es una opción
+export function getCommandOption(command) {
+  const match = /^option(\d)$/.exec(command);
+  return match ? Number(match[1]) : null;
+}
+
+// Completa con los valores por defecto y descarta comandos o posturas desconocidos
+export function sanitizeGestureBindings(bindings) {
+  const source = bindings && typeof bindings === "object" ? bindings : {};
+  return Object.fromEntries(
+    GESTURE_COMMANDS.map(({ command }) => {
+      const pose = source[command];
+      const valid = pose === null || GESTURE_POSES.includes(pose);
+      return [command, valid ? pose : DEFAULT_GESTURE_BINDINGS[command]];
+    })
+  );
+}
+
+// Posturas asignadas a más de un comando del mismo momento:
+// [{ pose, commands: [...] }]. Hasta que se corrigen, esas posturas no hacen nada.
+export function findGestureConflicts(bindings) {
+  const byPose = new Map();
+  GESTURE_COMMANDS.forEach(({ command, context }) => {
+    const pose = bindings[command];
+    if (!pose) return;
+    const key = `${context}|${pose}`;
+    byPose.set(key, [...(byPose.get(key) ?? []), command]);
+  });
+  return [...byPose]
+    .filter(([, commands]) => commands.length > 1)
+    .map(([key, commands]) => ({ pose: key.split("|")[1], commands }));
+}
+
+// Comando que corresponde a una postura en un momento dado, o null
+export function resolveGestureCommand(bindings, pose, context) {
+  const matches = GESTURE_COMMANDS.filter(
+    (entry) => entry.context === context && bindings[entry.command] === pose
+  );
+  return matches.length === 1 ? matches[0].command : null;
+}
+
+// Posturas con nombre en uso: solo esas se buscan en la imagen
+export function getBoundNamedPoses(bindings) {
+  return NAMED_HAND_POSES.filter((pose) =>
+    Object.values(bindings).includes(pose)
+  );
+}
+
+// Movimientos en uso: los demás no se buscan ni provocan pausas
+export function getBoundMotionGestures(bindings) {
+  return MOTION_GESTURES.filter((motion) =>
+    Object.values(bindings).includes(motion)
+  );
+}
+
+// Manos que hay que seguir para la pregunta actual: dos si algún comando
+// utilizable pide más dedos de los que tiene una mano
+export function getRequiredHands(bindings, optionCount) {
+  const needsTwo = GESTURE_COMMANDS.some(({ command }) => {
+    const option = getCommandOption(command);
+    if (option !== null && option >= optionCount) return false;
+    return (getPoseFingerCount(bindings[command]) ?? 0) > FINGERS_ONE_HAND;
+  });
+  return needsTwo ? 2 : 1;
+}
@@ -0,0 +1,107 @@
+// =====================
+// Calibración personal de gestos
+// =====================
+// Para quien no puede hacer las posturas exactas de 0 a 5 dedos: la persona
+// repite cada postura unas cuantas veces y sus landmarks se guardan como
+// muestras. Luego cada mano se clasifica por sus vecinos más cercanos entre
+// esas muestras, en lugar de contar dedos.
+
+import { HAND_LANDMARK_COUNT } from "./fingerCounting.js";
+
+export const CALIBRATION_SCHEMA_VERSION = 1;
+// Posturas a calibrar, por el gesto (número de dedos) al que equivalen.
+// Con dos manos se suman, igual que al contar dedos.
+export const CALIBRATION_GESTURES = [1, 2, 3, 4, 5, 0];
+export const CALIBRATION_SAMPLES_PER_GESTURE = 5;
+
+// Vecinos que votan
+const NEIGHBOURS = 3;
+// Distancia media por punto (en tamaños de palma) a partir de la cual una mano
+// no se parece a ninguna muestra y no cuenta como gesto
+const MAX_SAMPLE_DISTANCE = 0.35;
+
+const WRIST = 0;
+const MIDDLE_MCP = 9;
+
+// Landmarks relativos a la muñeca, girados para que la mano apunte hacia arriba
+// y escalados por el tamaño de la palma; las manos izquierdas se reflejan para
+// que una misma calibración sirva para las dos. Devuelve un array plano de
+// números (x, y, z de cada punto salvo la muñeca) o null si no hay mano.
+export function normalizeHandLandmarks(landmarks, handedness = null) {
+  if (!landmarks || landmarks.length < HAND_LANDMARK_COUNT) return null;
+
+  const wrist = landmarks[WRIST];
+  const palmX = landmarks[MIDDLE_MCP].x - wrist.x;
+  const palmY = landmarks[MIDDLE_MCP].y - wrist.y;
+  const palmSize = Math.hypot(palmX, palmY);
+  if (palmSize === 0) return null;
+
+  // Rotación que lleva el eje muñeca → dedo medio a (0, -1)
+  const cos = -palmY / palmSize;
+  const sin = -palmX / palmSize;
+  const mirror = handedness === "Left" ? -1 : 1;
+
+  return landmarks.slice(1, HAND_LANDMARK_COUNT).flatMap((point) => {
+    const x = (point.x - wrist.x) / palmSize;
+    const y = (point.y - wrist.y) / palmSize;
+    const z = ((point.z ?? 0) - (wrist.z ?? 0)) / palmSize;
+    return [
+      Math.round(mirror * (x * cos - y * sin) * 1000) / 1000,
+      Math.round((x * sin + y * cos) * 1000) / 1000,
+      Math.round(z * 1000) / 1000,
+    ];
+  });
+}
+
+// Distancia media por punto entre dos manos normalizadas
+function sampleDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 3) {
+    sum += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1], a[i + 2] - b[i + 2]);
+  }
+  return sum / (a.length / 3);
+}
+
+// ¿Tiene el perfil muestras de todas las posturas?
+export function isCalibrationComplete(profile) {
+  return CALIBRATION_GESTURES.every(
+    (gesture) => (profile?.samples?.[gesture]?.length ?? 0) > 0
+  );
+}
+
+// profile: { samples: { [gesture]: [mano normalizada, ...] } }
+// classify() devuelve { gesture, confidence } o null si ninguna muestra se parece.
+export function createGestureClassifier(profile) {
+  const samples = Object.entries(profile.samples).flatMap(([gesture, list]) =>
+    list.map((features) => ({ gesture: Number(gesture), features }))
+  );
+
+  return {
+    classify(features) {
+      if (!features) return null;
+      const nearest = samples
+        .map((sample) => ({
+          gesture: sample.gesture,
+          distance: sampleDistance(features, sample.features),
+        }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, NEIGHBOURS);
+      if (!nearest.length || nearest[0].distance > MAX_SAMPLE_DISTANCE) {
+        return null;
+      }
+
+      const votes = new Map();
+      nearest.forEach(({ gesture }) =>
+        votes.set(gesture, (votes.get(gesture) ?? 0) + 1)
+      );
+      const [gesture, count] = [...votes].sort(
+        (a, b) =>
+          b[1] - a[1] ||
+          // Empate: gana la postura del vecino más cercano
+          nearest.findIndex((n) => n.gesture === a[0]) -
+            nearest.findIndex((n) => n.gesture === b[0])
+      )[0];
+      return { gesture, confidence: count / nearest.length };
+    },
+  };
+}
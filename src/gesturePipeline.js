@@ -0,0 +1,307 @@
+// =====================
+// Procesado de fotogramas de gestos
+// =====================
+// Todo lo que se hace con los landmarks de MediaPipe después de detectarlos:
+// elegir las manos que cuentan, contar dedos o clasificar con la calibración,
+// votar entre fotogramas, medir el tiempo mantenido, reconocer movimientos y
+// dibujar los esqueletos. Corre en gestureWorker.js o, si el navegador no
+// tiene Web Workers, en el hilo principal con los mismos mensajes.
+//
+// Mensajes que recibe:
+//   { type: "config", config }  ajustes (ver DEFAULT_GESTURE_CONFIG), parciales
+//   { type: "frame", at, width, height, hands: [{ landmarks, label, score }] }
+//   { type: "canvas", canvas }  canvas (u OffscreenCanvas) para los esqueletos
+//   { type: "reset" }           olvidar lo visto (cámara parada, pestaña oculta)
+// Mensajes que envía, solo cuando algo cambia:
+//   { type: "state", gesture, confidence, holdProgress, fingersUp }
+//   { type: "held", gesture, at }  gesto mantenido o movimiento completo
+
+import {
+  countFingers,
+  detectNamedPoses,
+  getPersonHand,
+} from "./fingerCounting.js";
+import { fingersPose } from "./gestureBindings.js";
+import {
+  createGestureClassifier,
+  normalizeHandLandmarks,
+} from "./gestureCalibration.js";
+import {
+  MOTION_GESTURE_SETTINGS,
+  createMotionGestureDetector,
+} from "./motionGestures.js";
+import { clearHands, drawHands } from "./handDrawing.js";
+
+// Un fotograma suelto no basta: se vota entre los fotogramas recientes y el
+// gesto ganador tiene que mantenerse un tiempo (holdMs) antes de contar.
+const GESTURE_WINDOW_MS = 500;
+// Fracción de la ventana que debe coincidir para considerar estable un gesto
+const GESTURE_MIN_AGREEMENT = 0.7;
+// Confianza y progreso se envían en pasos de 1/STATE_STEPS y, mientras no
+// cambie el gesto, como mucho una vez cada STATE_MIN_INTERVAL_MS
+const STATE_STEPS = 10;
+const STATE_MIN_INTERVAL_MS = 100;
+
+// holdMs: tiempo que hay que mantener un gesto estable para que se registre.
+// profile: calibración personal (ver gestureCalibration.js); si la hay, se usa
+// en lugar de contar dedos. namedPoses: posturas con nombre que hay que buscar.
+// motionGestures: movimientos a buscar con los umbrales de motionSettings.
+// hand: mano que produce los gestos ("left" / "right" de la persona) o "any"
+// para usar todas las que se vean.
+export const DEFAULT_GESTURE_CONFIG = {
+  holdMs: 1000,
+  profile: null,
+  namedPoses: [],
+  motionGestures: [],
+  motionSettings: MOTION_GESTURE_SETTINGS,
+  hand: "any",
+  reducedMode: false,
+};
+
+// Votación por mayoría sobre los últimos fotogramas. push() devuelve el gesto
+// estable (o null) y una confianza que combina lo unánime que es la ventana
+// con la seguridad de MediaPipe al detectar la mano (handedness score).
+function createGestureStabilizer() {
+  let frames = []; // [{ at, gesture, score }]
+
+  return {
+    push(gesture, score, at) {
+      frames = [
+        ...frames.filter((frame) => at - frame.at <= GESTURE_WINDOW_MS),
+        { at, gesture, score },
+      ];
+
+      const votes = new Map();
+      frames.forEach((frame) =>
+        votes.set(frame.gesture, (votes.get(frame.gesture) ?? 0) + 1)
+      );
+      const [leader, count] = [...votes].sort((a, b) => b[1] - a[1])[0];
+      if (leader === null) return { gesture: null, confidence: 0 };
+
+      const agreement = count / frames.length;
+      const scores = frames
+        .filter((frame) => frame.gesture === leader)
+        .map((frame) => frame.score);
+      const meanScore =
+        scores.reduce((sum, value) => sum + value, 0) / scores.length;
+
+      return {
+        gesture: agreement >= GESTURE_MIN_AGREEMENT ? leader : null,
+        confidence: agreement * meanScore,
+      };
+    },
+    reset() {
+      frames = [];
+    },
+  };
+}
+
+function toStep(value) {
+  return Math.floor(value * STATE_STEPS) / STATE_STEPS;
+}
+
+function isSameState(a, b) {
+  return (
+    a.gesture === b.gesture &&
+    a.confidence === b.confidence &&
+    a.holdProgress === b.holdProgress &&
+    a.fingersUp.join() === b.fingersUp.join()
+  );
+}
+
+// Devuelve la función que atiende los mensajes; post() envía las respuestas
+export function createGestureFrameProcessor(post) {
+  let config = DEFAULT_GESTURE_CONFIG;
+  let classifier = null;
+  let motionDetector = createMotionGestureDetector(config.motionSettings);
+  const stabilizer = createGestureStabilizer();
+  // Gesto estable actual, desde cuándo y si ya se registró
+  let hold = { gesture: null, since: 0, fired: false };
+  // Posición de la muñeca de la mano seguida, para no saltar a la de otra
+  // persona con la misma lateralidad
+  let lockedWrist = null;
+  let canvas = null;
+  let sentState = null;
+  let sentAt = 0;
+
+  const resetTracking = () => {
+    stabilizer.reset();
+    motionDetector.reset();
+    hold = { gesture: null, since: 0, fired: false };
+    lockedWrist = null;
+  };
+
+  const configure = (changes) => {
+    const previousHand = config.hand;
+    config = { ...config, ...changes };
+    if ("profile" in changes) {
+      classifier = config.profile
+        ? createGestureClassifier(config.profile)
+        : null;
+    }
+    if ("motionSettings" in changes) {
+      motionDetector = createMotionGestureDetector(config.motionSettings);
+    }
+    // Con otra mano los gestos empiezan de cero
+    if (config.hand !== previousHand) resetTracking();
+  };
+
+  const sendState = (state, at) => {
+    const rounded = {
+      ...state,
+      confidence: toStep(state.confidence),
+      holdProgress: toStep(state.holdProgress),
+    };
+    if (sentState) {
+      if (isSameState(sentState, rounded)) return;
+      if (
+        sentState.gesture === rounded.gesture &&
+        at - sentAt < STATE_MIN_INTERVAL_MS
+      ) {
+        return;
+      }
+    }
+    sentState = rounded;
+    sentAt = at;
+    post({ type: "state", ...rounded });
+  };
+
+  // Manos que cuentan para el gesto. Si hay varias de la lateralidad pedida se
+  // sigue la más cercana a la del fotograma anterior.
+  const selectHands = (detected) => {
+    if (config.hand === "any") return detected;
+    const candidates = detected.filter((item) => item.hand === config.hand);
+    if (candidates.length === 0) return [];
+
+    // Sin posición anterior, la que MediaPipe ve con más seguridad
+    const cost = (item) =>
+      lockedWrist
+        ? Math.hypot(
+            item.landmarks[0].x - lockedWrist.x,
+            item.landmarks[0].y - lockedWrist.y
+          )
+        : -item.score;
+    const chosen = candidates.reduce((best, item) =>
+      cost(item) < cost(best) ? item : best
+    );
+    lockedWrist = chosen.landmarks[0];
+    return [chosen];
+  };
+
+  // Suaviza el gesto del fotograma y lleva la cuenta del tiempo mantenido
+  const updateStableGesture = (frameGesture, score, fingersUp, at) => {
+    const { gesture, confidence } = stabilizer.push(frameGesture, score, at);
+
+    if (gesture !== hold.gesture) {
+      hold = { gesture, since: at, fired: false };
+    }
+    const holdProgress =
+      gesture === null ? 0 : Math.min(1, (at - hold.since) / config.holdMs);
+
+    if (holdProgress >= 1 && !hold.fired) {
+      hold.fired = true;
+      post({ type: "held", gesture, at });
+    }
+    sendState({ gesture, confidence, holdProgress, fingersUp }, at);
+  };
+
+  // Un movimiento cuenta en cuanto se completa. La postura que se tenga en ese
+  // momento no cuenta además hasta que cambie.
+  const updateMotionGesture = (landmarks, at) => {
+    const motion = motionDetector.push(landmarks, at, config.motionGestures);
+    if (!motion) return;
+    hold.fired = true;
+    post({ type: "held", gesture: motion, at });
+  };
+
+  // Gesto del fotograma a partir de las manos que cuentan, o null
+  const recognize = (used) => {
+    const fingers = used.flatMap((item) =>
+      countFingers(item.landmarks, item.label)
+    );
+    const { landmarks, label } = used[0];
+
+    // Las posturas con nombre en uso tienen prioridad (solo con una mano)
+    const named =
+      used.length === 1 &&
+      detectNamedPoses(landmarks, label).find((pose) =>
+        config.namedPoses.includes(pose)
+      );
+    if (named) return { gesture: named, agreement: 1, fingers };
+
+    if (!classifier) {
+      // Con dos manos se suman los dedos de ambas (conteo hasta 10)
+      const count = fingers.filter(Boolean).length;
+      return { gesture: fingersPose(count), agreement: 1, fingers };
+    }
+
+    // Con calibración, cada mano se clasifica por separado y se suman igual que
+    // los dedos; si alguna no se parece a ninguna postura no hay gesto
+    const matches = used.map((item) =>
+      classifier.classify(normalizeHandLandmarks(item.landmarks, item.label))
+    );
+    if (matches.some((match) => match === null)) {
+      return { gesture: null, agreement: 0, fingers };
+    }
+    const total = matches.reduce((sum, match) => sum + match.gesture, 0);
+    const agreement =
+      matches.reduce((sum, match) => sum + match.confidence, 0) /
+      matches.length;
+    return { gesture: fingersPose(total), agreement, fingers };
+  };
+
+  const processFrame = ({ at, width, height, hands }) => {
+    const detected = hands.map((item) => ({
+      ...item,
+      hand: getPersonHand(item.label),
+    }));
+    const used = selectHands(detected);
+
+    if (canvas) {
+      drawHands(canvas, {
+        width,
+        height,
+        reducedMode: config.reducedMode,
+        hands: detected.map((item) => ({
+          landmarks: item.landmarks,
+          hand: item.hand,
+          used: used.includes(item),
+        })),
+      });
+    }
+
+    if (used.length === 0) {
+      motionDetector.reset();
+      updateStableGesture(null, 0, [], at);
+      return;
+    }
+
+    // Los movimientos se siguen con la mano principal
+    updateMotionGesture(used[0].landmarks, at);
+
+    // Seguridad de MediaPipe de que lo detectado es una mano (media si hay dos)
+    const score =
+      used.reduce((sum, item) => sum + item.score, 0) / used.length;
+    const { gesture, agreement, fingers } = recognize(used);
+    updateStableGesture(gesture, score * agreement, fingers, at);
+  };
+
+  return (message) => {
+    switch (message.type) {
+      case "config":
+        configure(message.config);
+        break;
+      case "frame":
+        processFrame(message);
+        break;
+      case "canvas":
+        canvas = message.canvas;
+        break;
+      case "reset":
+        resetTracking();
+        sentState = null;
+        if (canvas) clearHands(canvas);
+        break;
+    }
+  };
+}
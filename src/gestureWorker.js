@@ -0,0 +1,10 @@
+// Procesado de los fotogramas de gestos fuera del hilo principal: recibe los
+// landmarks que detecta MediaPipe y devuelve solo los cambios (ver
+// gesturePipeline.js)
+import { createGestureFrameProcessor } from "./gesturePipeline.js";
+
+const handleMessage = createGestureFrameProcessor((message) =>
+  self.postMessage(message)
+);
+
+self.onmessage = (event) => handleMessage(event.data);
@@ -0,0 +1,112 @@
+// =====================
+// Dibujo de los esqueletos de las manos
+// =====================
+// Funciona igual sobre un canvas normal que sobre un OffscreenCanvas dentro de
+// un worker: solo usa la API 2D del canvas.
+
+// Colores del esqueleto de cada mano (de la persona)
+const HAND_SKELETON_COLORS = {
+  right: {
+    vibrant: { point: "#00ffff", line: "#ff00ff" },
+    reduced: { point: "#00ff88", line: "#00ff88" },
+  },
+  left: {
+    vibrant: { point: "#ffaa00", line: "#66ff33" },
+    reduced: { point: "#ffdd00", line: "#ffdd00" },
+  },
+};
+// Opacidad de las manos que se ven pero no cuentan para el gesto
+const IGNORED_HAND_ALPHA = 0.35;
+
+// Puntos clave que llevan su número
+const LABELED_LANDMARKS = [0, 4, 8, 12, 16, 20];
+
+const HAND_CONNECTIONS = [
+  // Pulgar
+  [0, 1],
+  [1, 2],
+  [2, 3],
+  [3, 4],
+  // Índice
+  [0, 5],
+  [5, 6],
+  [6, 7],
+  [7, 8],
+  // Medio
+  [0, 9],
+  [9, 10],
+  [10, 11],
+  [11, 12],
+  // Anular
+  [0, 13],
+  [13, 14],
+  [14, 15],
+  [15, 16],
+  // Meñique
+  [0, 17],
+  [17, 18],
+  [18, 19],
+  [19, 20],
+  // Palma
+  [5, 9],
+  [9, 13],
+  [13, 17],
+];
+
+function drawSkeleton(ctx, width, height, landmarks, hand, reducedMode) {
+  const colors = (HAND_SKELETON_COLORS[hand] ?? HAND_SKELETON_COLORS.right)[
+    reducedMode ? "reduced" : "vibrant"
+  ];
+
+  // Configuración de estilo
+  ctx.fillStyle = colors.point;
+  ctx.strokeStyle = colors.line;
+  ctx.lineWidth = reducedMode ? 3 : 2;
+
+  // Dibujar puntos de los landmarks
+  landmarks.forEach((landmark, index) => {
+    const x = landmark.x * width;
+    const y = landmark.y * height;
+
+    ctx.beginPath();
+    ctx.arc(x, y, reducedMode ? 6 : 4, 0, 2 * Math.PI);
+    ctx.fill();
+
+    // Números en puntos clave
+    if (LABELED_LANDMARKS.includes(index)) {
+      ctx.fillStyle = reducedMode ? "#ffffff" : "#ffff00";
+      ctx.font = `${reducedMode ? "14px" : "12px"} Arial`;
+      ctx.fillText(index.toString(), x + 8, y - 8);
+      ctx.fillStyle = colors.point;
+    }
+  });
+
+  // Dibujar conexiones de la mano
+  HAND_CONNECTIONS.forEach(([start, end]) => {
+    ctx.beginPath();
+    ctx.moveTo(landmarks[start].x * width, landmarks[start].y * height);
+    ctx.lineTo(landmarks[end].x * width, landmarks[end].y * height);
+    ctx.stroke();
+  });
+}
+
+// hands: [{ landmarks, hand ("left" / "right" de la persona), used }]; las que
+// no cuentan para el gesto se dibujan atenuadas. width y height son los del
+// vídeo, para que el canvas (estirado por CSS) coincida con la imagen.
+export function drawHands(canvas, { width, height, hands, reducedMode }) {
+  if (!width || !height) return;
+  if (canvas.width !== width) canvas.width = width;
+  if (canvas.height !== height) canvas.height = height;
+
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, width, height);
+  hands.forEach(({ landmarks, hand, used }) => {
+    ctx.globalAlpha = used ? 1 : IGNORED_HAND_ALPHA;
+    drawSkeleton(ctx, width, height, landmarks, hand, reducedMode);
+  });
+  ctx.globalAlpha = 1;
+}
+
+export function clearHands(canvas) {
+  canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+}
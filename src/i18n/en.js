@@ -0,0 +1,418 @@
+// English catalog
+export default {
+  speechLang: "en-US",
+  messages: {
+    "common.or": "or",
+
+    "app.title": "Accessible Multisensory Trivia",
+    "app.language": "Language",
+    "app.loadingPack": "Loading quiz…",
+
+    "start.choosePack": "Choose a quiz",
+    "start.loadingPacks": "Loading quizzes…",
+    "start.noPacks": "No quizzes available.",
+    "start.begin": "Start",
+
+    "resume.title": "You have an unfinished quiz",
+    "resume.progress": "{pack}: you answered {answered} of {total} questions.",
+    "resume.continue": "Continue where I left off",
+    "resume.startOver": "Start over",
+
+    "pack.change": "Choose another quiz",
+    "pack.loadErrorTitle": "The quiz could not be loaded",
+    "pack.error.notObject": "The quiz is not a valid JSON object",
+    "pack.error.schemaVersion":
+      "Unsupported schema version: {found} (expected {expected})",
+    "pack.error.missingId": 'The quiz is missing the "id" field',
+    "pack.error.missingTitle": 'The quiz is missing the "title" field',
+    "pack.error.language":
+      'Unsupported language "{language}" (allowed: {allowed})',
+    "pack.error.noQuestions": "The quiz has no questions",
+    "pack.error.questionNotObject": "Question {number}: not an object",
+    "pack.error.questionMissingId": 'Question {number}: missing "id" field',
+    "pack.error.questionDuplicateId":
+      'Question {number}: id "{id}" is duplicated',
+    "pack.error.questionMissingText": "Question {number}: missing question text",
+    "pack.error.optionsEmpty": "Question {number}: the options list is empty",
+    "pack.error.optionsCount":
+      "Question {number}: has {count} options ({min} to {max} are allowed)",
+    "pack.error.optionEmpty": "Question {number}: option {option} is empty",
+    "pack.error.correctNotInteger":
+      'Question {number}: "correct" must be an integer index',
+    "pack.error.correctOutOfRange":
+      'Question {number}: "correct" index ({correct}) is out of range (0-{max})',
+    "pack.error.explanationType":
+      'Question {number}: "explanation" must be text',
+    "pack.error.tagsType": 'Question {number}: "tags" must be a list of strings',
+    "pack.error.difficulty":
+      'Question {number}: "difficulty" must be one of {allowed}',
+    "pack.error.invalid": 'The quiz "{id}" is not valid:\n- {errors}',
+    "pack.error.http": "Could not load {url} (HTTP {status})",
+    "pack.error.json": "{url} does not contain valid JSON",
+    "pack.error.notFound": 'There is no quiz with id "{id}"',
+    "pack.error.idMismatch":
+      'File {file} declares id "{found}" instead of "{expected}"',
+
+    "prefs.label": "Stimulus preferences",
+    "prefs.sound": "Sound",
+    "prefs.vibration": "Vibration",
+    "prefs.voice": "Voice",
+    "prefs.voiceInput": "🎤 Voice Input",
+    "prefs.gestures": "🤚 Gestures",
+    "prefs.reducedOn": "Calm Mode",
+    "prefs.reducedOff": "Vibrant Mode",
+    "prefs.timedMode": "⏱️ Time limit",
+    "prefs.timeLimit": "Seconds per question",
+    "prefs.gestureHold": "Hold gesture for",
+    "prefs.gestureHands": "Hands for gestures",
+    "prefs.gestureHands.both": "Both (fingers add up)",
+    "prefs.gestureHands.dominant": "Dominant hand only",
+    "prefs.gestureHands.split": "One picks, the dominant one confirms",
+    "prefs.dominantHand": "Dominant hand",
+    "prefs.motionSensitivity": "Motion sensitivity",
+    "prefs.motionSensitivity.low": "Low (wide movements)",
+    "prefs.motionSensitivity.normal": "Normal",
+    "prefs.motionSensitivity.high": "High (short movements)",
+    "prefs.airPointer": "👉 Air pointer",
+    "prefs.airPointerDwell": "Time over an option",
+    "prefs.airPointerMirrored": "Mirror the cursor",
+    "prefs.airPointerTick": "Tick when entering an option",
+    "prefs.reset": "↺ Reset preferences",
+    "prefs.resetTitle": "Go back to the defaults based on your system settings",
+    "prefs.resetDone": "Preferences reset",
+
+    "tts.title": "🗣️ Reading voice",
+    "tts.voice": "Voice",
+    "tts.defaultVoice": "Browser default",
+    "tts.noVoices": "No voices are installed for this language.",
+    "tts.rate": "Rate",
+    "tts.pitch": "Pitch",
+    "tts.volume": "Volume",
+    "tts.preview": "▶ Preview voice",
+    "tts.sample": "This is how the trivia questions and alerts will sound.",
+
+    "asr.title": "🎙️ Speech recognition",
+    "asr.backend": "Engine",
+    "asr.backend.webSpeech": "Browser (needs a connection)",
+    "asr.backend.local": "Local (offline)",
+    "asr.unsupported": "{backend}: not available in this browser",
+    "asr.trainHint":
+      "The local engine only understands the phrases you record here with your voice. Record each one two or three times.",
+    "asr.record": "● Record",
+    "asr.clear": "Clear",
+    "asr.samples": { one: "{count} recording", other: "{count} recordings" },
+    "asr.recording": "Say “{phrase}” now…",
+    "asr.recorded": "Recording of “{phrase}” saved",
+    "asr.error.noSpeech": "Nothing was heard. Please try again.",
+
+    "progress.question": "Question {current} of {total}",
+    "progress.score": "Score:",
+    "progress.bar": "Progress: {current} of {total} questions completed",
+    "progress.completed": "Question {number} completed",
+    "progress.current": "Question {number} current",
+    "progress.upcoming": "Question {number} pending",
+
+    "quiz.next": "Next",
+    "quiz.restart": "Restart Trivia",
+
+    "status.correct": "Correct!",
+    "status.wrong": "Wrong answer",
+    "status.timeout": "⏱️ Time's up",
+
+    "speech.question": "Question {number}. {text}.",
+    "speech.option": "Option {letter}: {text}.",
+    "speech.correct": "Correct answer",
+    "speech.wrong": "Wrong answer",
+    "speech.timeout": "Time's up",
+    "speech.answerCancelled": "Answer cancelled. You can choose another option.",
+    "speech.commandCancelled":
+      "Command cancelled. You can choose another option.",
+    "speech.gestureCancelled": "Gesture cancelled. You can try again.",
+    "speech.answerConfirmed": "Answer {letter} confirmed",
+    "speech.clarify": "I'm not sure. Did you mean {choices}?",
+    "speech.confirmVoice":
+      'Confirm option {letter}: {text}? Say "yes" to confirm or "no" to cancel.',
+    "speech.confirmGesture":
+      "Confirm option {letter}: {text}? Make a fist to confirm or open your hand to cancel.",
+    "speech.keyboardSelected": "Option {letter}: {text}. Press Enter to confirm.",
+    "speech.timeLeft": "{seconds} seconds left",
+    "speech.options": "Options: {options}.",
+    "speech.score": {
+      one: "You have {score} correct out of {count} answer.",
+      other: "You have {score} correct out of {count} answers.",
+    },
+    "speech.previous": "Review of the previous question: {text}. {review}",
+    "speech.noPrevious": "This is the first question.",
+    "speech.restarted": "Trivia restarted.",
+    "speech.confirmRestart":
+      'Restart the trivia? Your progress will be lost. Say "yes" to confirm or "no" to cancel.',
+    "speech.restartCancelled":
+      "Restart cancelled. You are still on the same question.",
+    "speech.setting.soundOn": "Sound on",
+    "speech.setting.soundOff": "Sound off",
+    "speech.setting.vibrationOn": "Vibration on",
+    "speech.setting.vibrationOff": "Vibration off",
+    "speech.setting.gesturesOn": "Gestures on",
+    "speech.setting.gesturesOff": "Gestures off",
+    "speech.setting.calmMode": "Calm mode on",
+    "speech.setting.vibrantMode": "Vibrant mode on",
+    "speech.results":
+      "Trivia completed! You got {score} correct answers out of {total} questions. That is {percent} percent correct.",
+
+    "results.title": "Trivia Completed! 🎉",
+    "results.close": "Close results",
+    "results.correct": "Correct Answers:",
+    "results.incorrect": "Wrong Answers:",
+    "results.total": "Total Questions:",
+    "results.percent": "Success Rate:",
+    "results.perfect": "Perfect! You answered every question correctly.",
+    "results.excellent": "Excellent work! You really know your stuff.",
+    "results.good": "Good job! Keep practicing to improve.",
+    "results.keepTrying": "Keep trying! Practice makes perfect.",
+
+    "review.title": "Answer review",
+    "review.readAloud": "🔊 Read review",
+    "review.yourAnswer": "Your answer",
+    "review.correctAnswer": "Correct",
+    "review.channel": "Input",
+    "review.time": "Time",
+    "review.unanswered": "Not answered",
+    "review.summaryUnanswered":
+      "Question {number}: not answered. The correct answer was {correct}.",
+    "review.summaryCorrect": "Question {number}: correct, you answered {chosen}.",
+    "review.summaryWrong":
+      "Question {number}: wrong, you answered {chosen}. The correct answer was {correct}.",
+
+    "channel.click": "Click or tap",
+    "channel.keyboard": "Keyboard",
+    "channel.voice": "Voice",
+    "channel.gesture": "Gesture",
+    "channel.pointer": "Air pointer",
+    "channel.timeout": "Time's up",
+
+    "timer.secondsLeft": "seconds left",
+    "timer.paused": "⏸ Paused",
+
+    "note.prefix": "Tip: turn",
+    "note.and": "and",
+    "note.suffix": "on or off to avoid sensory overload.",
+
+    "voiceMic.active": "Voice Mode On",
+    "voiceMic.inactive": "Voice Mode Off",
+    "voiceMic.detected": "Heard:",
+    "voiceMic.listening":
+      "Listening... Say 'Option' followed by {letters}, or the answer itself",
+    "voiceMic.ready": "Recognition active - Speak when ready",
+    "voiceMic.paused": "Paused while the app is speaking",
+    "voiceMic.backend": "Engine: {backend}",
+    "voiceMic.untrained":
+      "The local engine has no recorded phrases yet. Record them under “Speech recognition”.",
+    "voiceMic.restarting": "Reconnecting speech recognition…",
+    "voiceMic.error.permission":
+      "Microphone access was denied. Allow it in your browser and turn voice input on again.",
+    "voiceMic.error.noMicrophone":
+      "No microphone was found. Connect one and turn voice input on again.",
+    "voiceMic.clarify": "Did you mean {choices}? Say the option letter.",
+
+    "confirm.voiceTitle": "Confirm voice answer",
+    "confirm.gestureTitle": "Confirm gesture answer",
+    "confirm.detected": "Detected:",
+    "confirm.option": "Option {letter}",
+    "confirm.restartTitle": "Restart the trivia?",
+    "confirm.restartText":
+      "The answers from this game and the saved game will be lost.",
+    "confirm.voiceInstructions": 'Say **"YES"** to ACCEPT or **"NO"** to CANCEL',
+    "confirm.gestureInstructions":
+      "🤜 Make a **fist** to confirm | 🖐️ **Open your hand** to cancel",
+    "confirm.accept": "✓ Confirm",
+    "confirm.cancel": "✗ Cancel",
+
+    "gesture.title": "🤚 {mode} Gesture System",
+    "gesture.modeReduced": "Calm",
+    "gesture.modeVibrant": "Vibrant",
+    "gesture.confirmPrompt": "Confirm your answer",
+    "gesture.selectPrompt": "Choose your option",
+    "gesture.useHand.right": "Use your right hand",
+    "gesture.useHand.left": "Use your left hand",
+    "gesture.pointPrompt": "Point at an option with your index finger and stay on it",
+    "gesture.active": "MediaPipe Active",
+    "gesture.starting": "Starting...",
+    "gesture.loading": "Downloading gesture models",
+    "gesture.loadingProgress": "Downloading gesture models… {percent}%",
+    "gesture.paused":
+      "⏸️ No hands in view: detection paused. Move your hand in front of the camera to continue.",
+    "gesture.resume": "Resume",
+    "gesture.option": "Option {letter}",
+    "gesture.fingers": { one: "{count} finger", other: "{count} fingers" },
+    "gesture.hold": "Hold the gesture for {seconds} to choose it",
+    "gesture.twoHands": "{first} + {second} fingers (two hands)",
+    "gesture.available": "Available gestures:",
+    "gesture.confirmChoice": "Confirm your choice:",
+    "gesture.fist": "Closed fist",
+    "gesture.openHand": "Open hand",
+    "gesture.confirm": "Confirm",
+    "gesture.cancel": "Cancel",
+    "gesture.okLabel": "OK",
+    "gesture.cancelLabel": "CANCEL",
+    "gesture.error.load": "Could not load the gesture detection library",
+    "gesture.error.assets":
+      "Couldn't download the gesture models from {base}. Check that the app ships them, or the VITE_MEDIAPIPE_ASSET_BASE variable.",
+    "gesture.error.camera":
+      "Could not access the camera. Please check the permissions.",
+
+    "calibration.title": "🎯 Calibrate my gestures",
+    "calibration.start": "🎯 Calibrate gestures",
+    "calibration.redo": "🎯 Calibrate again",
+    "calibration.clear": "Go back to counting fingers",
+    "calibration.active": "Using your calibrated gestures",
+    "calibration.step": "Gesture {current} of {total}",
+    "calibration.pose": "Your gesture for \"{pose}\" ({commands})",
+    "calibration.instructions":
+      "Make the gesture however is comfortable, press Record and hold it for a few seconds",
+    "calibration.recording": "Recording… {count} of {total}",
+    "calibration.noHand":
+      "Your hand isn't visible: hold it in front of the camera",
+    "calibration.record": "⏺️ Record",
+    "calibration.cancel": "Cancel",
+
+    "pose.thumbsUp": "Thumbs up",
+    "pose.pinch": "Pinch (thumb and index together)",
+    "pose.peace": "Peace sign (V)",
+    "pose.swipeLeft": "Swipe your hand left",
+    "pose.swipeRight": "Swipe your hand right",
+    "pose.wave": "Wave",
+    "pose.raiseHold": "Raise your hand and hold it",
+    "hand.right": "Right",
+    "hand.left": "Left",
+    "gestureBindings.title": "🤚 Gesture bindings",
+    "gestureBindings.hint":
+      "Choose which pose triggers each command. Confirm and Cancel are only used while confirming an answer, so they can share poses with the rest.",
+    "gestureBindings.none": "No gesture",
+    "gestureBindings.conflict":
+      "{pose} is bound to several commands ({commands}) and won't do anything until you change it",
+    "gestureBindings.reset": "Reset gestures",
+    "gestureBindings.command.next": "Next question",
+    "gestureBindings.command.repeat": "Repeat question",
+    "gestureBindings.command.help": "Open or close help",
+
+    "help.open": "Open instructions",
+    "help.openTitle": "Instructions",
+    "help.title": "📖 How to Use",
+    "help.close": "Close instructions",
+    "help.voice.title": "🎤 Voice Input",
+    "help.voice.enable": 'Turn on "Voice Input" in the controls',
+    "help.voice.say":
+      'Clearly say the option letter: "Option A", "Option B"… (up to "Option F" in six-option questions), its position ("the second") or the option text itself',
+    "help.voice.clarify":
+      "If what you said fits several options, you will be asked which one you meant",
+    "help.voice.confirm": "Confirm your answer when asked",
+    "help.voice.clarity": "Speak clearly and in a quiet place",
+    "help.voice.commands":
+      'You can also say "help", "close", "restart", "score", "read options", "previous question" (reads it back to you), "calm mode", "vibrant mode" or "sound, vibration or gestures on/off"',
+    "help.gestures.title": "🤚 Gesture Control",
+    "help.gestures.enable": 'Turn on "Gestures" in the top controls',
+    "help.gestures.camera": "Allow camera access when asked",
+    "help.gestures.count":
+      "Show 1, 2, 3… fingers to choose A, B, C… (5 fingers = option E)",
+    "help.gestures.twoHands":
+      "For option F use both hands: one open and one finger on the other",
+    "help.gestures.steady": "Keep your hand visible and steady in front of the camera",
+    "help.gestures.hold":
+      "A gesture counts once you hold it; the ring shows how much is left (change the time in preferences)",
+    "help.gestures.release":
+      "After choosing an option, lower or change your hand before confirming or cancelling: the gesture that opened the confirmation does not count inside it",
+    "help.gestures.calibrate":
+      "If the finger poses are hard to make, use \"Calibrate gestures\" to record your own",
+    "help.gestures.bindings":
+      "In \"Gesture bindings\" you can change which pose each command uses (thumbs up, pinch, peace sign or a number of fingers)",
+    "help.gestures.motion":
+      "There are motions too: swipe your hand to your left for the next question, wave to hear the question again, and raise your hand and keep it still to open help",
+    "help.gestures.hands":
+      "In \"Hands for gestures\" you can use only your dominant hand (a helper's hand is ignored) or pick the option with one hand and confirm with the other",
+    "help.gestures.pointer":
+      "With \"Air pointer\", your index fingertip moves a cursor: stay over an option until it fills up to choose it",
+    "help.keyboard.title": "⌨️ Keyboard Navigation",
+    "help.keyboard.select":
+      "Select options A-F (depending on each question's options)",
+    "help.keyboard.enter":
+      "Confirm the selected answer (also in voice and gesture confirmations) or go to the next one",
+    "help.keyboard.next": "Next question after answering",
+    "help.keyboard.repeat": "Read the question aloud again",
+    "help.keyboard.help": "Open these instructions",
+    "help.keyboard.tab": "Move between elements",
+    "help.keyboard.escape": "Cancel the selection or confirmation and close dialogs",
+    "help.keyboard.or": "or",
+    "help.a11y.title": "♿ Accessibility Options",
+    "help.a11y.reducedTitle": "Calm Mode:",
+    "help.a11y.reduced": "Reduces animations and simplifies the interface",
+    "help.a11y.feedbackTitle": "Sound/Vibration:",
+    "help.a11y.feedback": "Multisensory feedback for confirmations",
+    "help.a11y.timedTitle": "Time limit:",
+    "help.a11y.timed":
+      "Optional countdown with a visual ring, beeps, vibration and spoken warnings. It pauses while you confirm by voice or gesture",
+    "help.a11y.ttsTitle": "Reading voice:",
+    "help.a11y.tts":
+      "Choose the voice, rate, pitch and volume used to read questions and alerts",
+    "help.a11y.asrTitle": "Speech recognition:",
+    "help.a11y.asr":
+      "Use the browser's recognizer or a local one that works offline once you record the phrases with your voice",
+    "help.a11y.languageTitle": "Language:",
+    "help.a11y.language":
+      "Changes the text, the reading voice and the speech recognition language together",
+    "help.tips.title": "💡 General Tips",
+    "help.tips.channels": "Only turn on the modes you need to avoid sensory overload",
+    "help.tips.headphones": "Use headphones for a better audio experience",
+    "help.tips.lighting": "Make sure you have good lighting for gesture recognition",
+    "help.tips.anytime": "All settings can be changed at any time",
+  },
+
+  // Speech recognition vocabulary. Each entry in letters, ordinals and numbers
+  // lists the ways that option (A, B, C…) can be named.
+  voice: {
+    optionWords: ["option", "letter", "answer"],
+    // Filler that doesn't help recognize an option by its text
+    // ("I think the answer is…")
+    fillerWords: [
+      "think", "say", "choose", "pick", "guess", "going", "the", "that",
+      "its", "would", "maybe", "well", "want",
+      "for",
+    ],
+    // After these words, a letter ending the sentence is the option ("it's b")
+    letterLeadWords: ["the", "is", "its"],
+    letters: [
+      ["a"],
+      ["b", "be", "bee"],
+      ["c", "see", "sea"],
+      ["d", "dee"],
+      ["e"],
+      ["f", "ef"],
+    ],
+    ordinals: [["first"], ["second"], ["third"], ["fourth"], ["fifth"], ["sixth"]],
+    numbers: [["one"], ["two"], ["three"], ["four"], ["five"], ["six"]],
+    commands: {
+      repeat: ["repeat", "repeat question", "read again"],
+      next: ["next", "continue"],
+      confirm: ["yes", "confirm"],
+      cancel: ["no", "cancel"],
+      help: ["help", "instructions"],
+      close: ["close", "close help", "close results"],
+      restart: ["restart", "restart trivia", "start over"],
+      score: ["score", "my score", "what is my score"],
+      readOptions: ["read options", "options", "what are the options"],
+      reviewPrevious: [
+        "previous question",
+        "previous",
+        "review previous question",
+        "review previous",
+      ],
+      soundOn: ["sound on", "turn on sound", "enable sound"],
+      soundOff: ["sound off", "turn off sound", "disable sound", "mute"],
+      vibrationOn: ["vibration on", "turn on vibration", "enable vibration"],
+      vibrationOff: ["vibration off", "turn off vibration", "disable vibration"],
+      gesturesOn: ["gestures on", "turn on gestures", "enable gestures"],
+      gesturesOff: ["gestures off", "turn off gestures", "disable gestures"],
+      calmMode: ["calm mode"],
+      vibrantMode: ["vibrant mode"],
+    },
+  },
+};
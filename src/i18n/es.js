@@ -0,0 +1,429 @@
+// Catálogo en español (idioma original de la app y de reserva)
+export default {
+  speechLang: "es-ES",
+  messages: {
+    "common.or": "o",
+
+    "app.title": "Trivia Multisensorial Accesible",
+    "app.language": "Idioma",
+    "app.loadingPack": "Cargando cuestionario…",
+
+    "start.choosePack": "Elige un cuestionario",
+    "start.loadingPacks": "Cargando cuestionarios…",
+    "start.noPacks": "No hay cuestionarios disponibles.",
+    "start.begin": "Comenzar",
+
+    "resume.title": "Tienes una trivia sin terminar",
+    "resume.progress": "{pack}: respondiste {answered} de {total} preguntas.",
+    "resume.continue": "Continuar donde lo dejé",
+    "resume.startOver": "Empezar de nuevo",
+
+    "pack.change": "Elegir otro cuestionario",
+    "pack.loadErrorTitle": "No se pudo cargar el cuestionario",
+    "pack.error.notObject": "El cuestionario no es un objeto JSON válido",
+    "pack.error.schemaVersion":
+      "Versión de esquema no soportada: {found} (se esperaba {expected})",
+    "pack.error.missingId": 'Falta el campo "id" del cuestionario',
+    "pack.error.missingTitle": 'Falta el campo "title" del cuestionario',
+    "pack.error.language":
+      'Idioma "{language}" no soportado (se admite {allowed})',
+    "pack.error.noQuestions": "El cuestionario no contiene preguntas",
+    "pack.error.questionNotObject": "Pregunta {number}: no es un objeto",
+    "pack.error.questionMissingId": 'Pregunta {number}: falta el campo "id"',
+    "pack.error.questionDuplicateId":
+      'Pregunta {number}: el id "{id}" está repetido',
+    "pack.error.questionMissingText":
+      "Pregunta {number}: falta el texto de la pregunta",
+    "pack.error.optionsEmpty":
+      "Pregunta {number}: la lista de opciones está vacía",
+    "pack.error.optionsCount":
+      "Pregunta {number}: tiene {count} opciones (se admiten de {min} a {max})",
+    "pack.error.optionEmpty": "Pregunta {number}: la opción {option} está vacía",
+    "pack.error.correctNotInteger":
+      'Pregunta {number}: "correct" debe ser un índice entero',
+    "pack.error.correctOutOfRange":
+      'Pregunta {number}: el índice "correct" ({correct}) está fuera de rango (0-{max})',
+    "pack.error.explanationType":
+      'Pregunta {number}: "explanation" debe ser texto',
+    "pack.error.tagsType":
+      'Pregunta {number}: "tags" debe ser una lista de textos',
+    "pack.error.difficulty":
+      'Pregunta {number}: "difficulty" debe ser uno de {allowed}',
+    "pack.error.invalid": 'El cuestionario "{id}" no es válido:\n- {errors}',
+    "pack.error.http": "No se pudo cargar {url} (HTTP {status})",
+    "pack.error.json": "{url} no contiene JSON válido",
+    "pack.error.notFound": 'No existe ningún cuestionario con id "{id}"',
+    "pack.error.idMismatch":
+      'El archivo {file} declara el id "{found}" en lugar de "{expected}"',
+
+    "prefs.label": "Preferencias de estímulos",
+    "prefs.sound": "Sonido",
+    "prefs.vibration": "Vibración",
+    "prefs.voice": "Voz",
+    "prefs.voiceInput": "🎤 Entrada por Voz",
+    "prefs.gestures": "🤚 Gestos",
+    "prefs.reducedOn": "Modo Suave",
+    "prefs.reducedOff": "Modo Vibrante",
+    "prefs.timedMode": "⏱️ Tiempo límite",
+    "prefs.timeLimit": "Segundos por pregunta",
+    "prefs.gestureHold": "Mantener el gesto",
+    "prefs.gestureHands": "Manos para los gestos",
+    "prefs.gestureHands.both": "Las dos (se suman los dedos)",
+    "prefs.gestureHands.dominant": "Solo la mano dominante",
+    "prefs.gestureHands.split": "Una elige y la dominante confirma",
+    "prefs.dominantHand": "Mano dominante",
+    "prefs.motionSensitivity": "Sensibilidad de los movimientos",
+    "prefs.motionSensitivity.low": "Baja (movimientos amplios)",
+    "prefs.motionSensitivity.normal": "Normal",
+    "prefs.motionSensitivity.high": "Alta (movimientos cortos)",
+    "prefs.airPointer": "👉 Puntero en el aire",
+    "prefs.airPointerDwell": "Tiempo sobre la opción",
+    "prefs.airPointerMirrored": "Cursor en espejo",
+    "prefs.airPointerTick": "Sonido al pasar por una opción",
+    "prefs.reset": "↺ Restablecer preferencias",
+    "prefs.resetTitle":
+      "Volver a los valores por defecto según la configuración del sistema",
+    "prefs.resetDone": "Preferencias restablecidas",
+
+    "tts.title": "🗣️ Voz de lectura",
+    "tts.voice": "Voz",
+    "tts.defaultVoice": "Predeterminada del navegador",
+    "tts.noVoices": "No hay voces instaladas para este idioma.",
+    "tts.rate": "Velocidad",
+    "tts.pitch": "Tono",
+    "tts.volume": "Volumen",
+    "tts.preview": "▶ Probar voz",
+    "tts.sample": "Así sonarán las preguntas y los avisos de la trivia.",
+
+    "asr.title": "🎙️ Reconocimiento de voz",
+    "asr.backend": "Motor",
+    "asr.backend.webSpeech": "Navegador (necesita conexión)",
+    "asr.backend.local": "Local (sin conexión)",
+    "asr.unsupported": "{backend}: no disponible en este navegador",
+    "asr.trainHint":
+      "El motor local solo entiende las frases que grabes aquí con tu voz. Graba cada una dos o tres veces.",
+    "asr.record": "● Grabar",
+    "asr.clear": "Borrar",
+    "asr.samples": { one: "{count} grabación", other: "{count} grabaciones" },
+    "asr.recording": "Di «{phrase}» ahora…",
+    "asr.recorded": "Grabación de «{phrase}» guardada",
+    "asr.error.noSpeech": "No se oyó nada. Inténtalo de nuevo.",
+
+    "progress.question": "Pregunta {current} de {total}",
+    "progress.score": "Puntaje:",
+    "progress.bar": "Progreso: {current} de {total} preguntas completadas",
+    "progress.completed": "Pregunta {number} completada",
+    "progress.current": "Pregunta {number} actual",
+    "progress.upcoming": "Pregunta {number} pendiente",
+
+    "quiz.next": "Siguiente",
+    "quiz.restart": "Reiniciar Trivia",
+
+    "status.correct": "¡Correcto!",
+    "status.wrong": "Respuesta incorrecta",
+    "status.timeout": "⏱️ Tiempo agotado",
+
+    "speech.question": "Pregunta {number}. {text}.",
+    "speech.option": "Opción {letter}: {text}.",
+    "speech.correct": "Respuesta correcta",
+    "speech.wrong": "Respuesta incorrecta",
+    "speech.timeout": "Tiempo agotado",
+    "speech.answerCancelled": "Respuesta cancelada. Puedes elegir otra opción.",
+    "speech.commandCancelled": "Comando cancelado. Puedes elegir otra opción.",
+    "speech.gestureCancelled": "Gesto cancelado. Puedes intentar de nuevo.",
+    "speech.answerConfirmed": "Respuesta {letter} confirmada",
+    "speech.clarify": "No estoy seguro. ¿Quiso decir {choices}?",
+    "speech.confirmVoice":
+      '¿Confirmas opción {letter}: {text}? Di "sí" para confirmar o "no" para cancelar.',
+    "speech.confirmGesture":
+      "¿Confirmas opción {letter}: {text}? Haz puño para confirmar o abre la mano para cancelar.",
+    "speech.keyboardSelected":
+      "Opción {letter}: {text}. Pulsa Enter para confirmar.",
+    "speech.timeLeft": "Quedan {seconds} segundos",
+    "speech.options": "Opciones: {options}.",
+    "speech.score": {
+      one: "Llevas {score} de {count} respuesta correcta.",
+      other: "Llevas {score} de {count} respuestas correctas.",
+    },
+    "speech.previous": "Repaso de la pregunta anterior: {text}. {review}",
+    "speech.noPrevious": "Esta es la primera pregunta.",
+    "speech.restarted": "Trivia reiniciada.",
+    "speech.confirmRestart":
+      '¿Reiniciar la trivia? Se perderá el progreso. Di "sí" para confirmar o "no" para cancelar.',
+    "speech.restartCancelled":
+      "Reinicio cancelado. Sigues en la misma pregunta.",
+    "speech.setting.soundOn": "Sonido activado",
+    "speech.setting.soundOff": "Sonido desactivado",
+    "speech.setting.vibrationOn": "Vibración activada",
+    "speech.setting.vibrationOff": "Vibración desactivada",
+    "speech.setting.gesturesOn": "Gestos activados",
+    "speech.setting.gesturesOff": "Gestos desactivados",
+    "speech.setting.calmMode": "Modo suave activado",
+    "speech.setting.vibrantMode": "Modo vibrante activado",
+    "speech.results":
+      "¡Trivia completada! Obtuviste {score} respuestas correctas de {total} preguntas. Eso es un {percent} por ciento de aciertos.",
+
+    "results.title": "¡Trivia Completada! 🎉",
+    "results.close": "Cerrar resultados",
+    "results.correct": "Respuestas Correctas:",
+    "results.incorrect": "Respuestas Incorrectas:",
+    "results.total": "Total de Preguntas:",
+    "results.percent": "Porcentaje de Aciertos:",
+    "results.perfect":
+      "¡Perfecto! Respondiste todas las preguntas correctamente.",
+    "results.excellent": "¡Excelente trabajo! Tienes un gran conocimiento.",
+    "results.good": "¡Buen trabajo! Sigue practicando para mejorar.",
+    "results.keepTrying": "¡Sigue intentando! La práctica hace al maestro.",
+
+    "review.title": "Revisión de respuestas",
+    "review.readAloud": "🔊 Leer revisión",
+    "review.yourAnswer": "Tu respuesta",
+    "review.correctAnswer": "Correcta",
+    "review.channel": "Vía",
+    "review.time": "Tiempo",
+    "review.unanswered": "Sin responder",
+    "review.summaryUnanswered":
+      "Pregunta {number}: sin responder. La correcta era {correct}.",
+    "review.summaryCorrect": "Pregunta {number}: correcta, respondiste {chosen}.",
+    "review.summaryWrong":
+      "Pregunta {number}: incorrecta, respondiste {chosen}. La correcta era {correct}.",
+
+    "channel.click": "Clic o toque",
+    "channel.keyboard": "Teclado",
+    "channel.voice": "Voz",
+    "channel.gesture": "Gesto",
+    "channel.pointer": "Puntero en el aire",
+    "channel.timeout": "Tiempo agotado",
+
+    "timer.secondsLeft": "segundos restantes",
+    "timer.paused": "⏸ En pausa",
+
+    "note.prefix": "Recomendación: activar/desactivar",
+    "note.and": "y",
+    "note.suffix": "para evitar la sobrecarga sensorial.",
+
+    "voiceMic.active": "Modo Voz Activo",
+    "voiceMic.inactive": "Modo Voz Inactivo",
+    "voiceMic.detected": "Detectado:",
+    "voiceMic.listening":
+      "Escuchando... Diga 'Opción' seguida de {letters}, o la respuesta misma",
+    "voiceMic.ready": "Reconocimiento activo - Hable cuando esté listo",
+    "voiceMic.paused": "En pausa mientras la app habla",
+    "voiceMic.backend": "Motor: {backend}",
+    "voiceMic.untrained":
+      "El motor local aún no tiene frases grabadas. Grábalas en «Reconocimiento de voz».",
+    "voiceMic.restarting": "Reconectando el reconocimiento de voz…",
+    "voiceMic.error.permission":
+      "No hay permiso para usar el micrófono. Permítelo en el navegador y vuelve a activar la entrada por voz.",
+    "voiceMic.error.noMicrophone":
+      "No se encontró ningún micrófono. Conecta uno y vuelve a activar la entrada por voz.",
+    "voiceMic.clarify": "¿Quiso decir {choices}? Diga la letra de la opción.",
+
+    "confirm.voiceTitle": "Confirmar respuesta por voz",
+    "confirm.gestureTitle": "Confirmar respuesta por gesto",
+    "confirm.detected": "Detectaste:",
+    "confirm.option": "Opción {letter}",
+    "confirm.restartTitle": "¿Reiniciar la trivia?",
+    "confirm.restartText":
+      "Se perderán las respuestas de esta partida y la partida guardada.",
+    "confirm.voiceInstructions":
+      'Di **"SÍ"** para ACEPTAR o **"NO"** para CANCELAR',
+    "confirm.gestureInstructions":
+      "🤜 Haz **puño** para confirmar | 🖐️ **Abre la mano** para cancelar",
+    "confirm.accept": "✓ Confirmar",
+    "confirm.cancel": "✗ Cancelar",
+
+    "gesture.title": "🤚 Sistema de Gestos {mode}",
+    "gesture.modeReduced": "Suave",
+    "gesture.modeVibrant": "Vibrante",
+    "gesture.confirmPrompt": "Confirma tu respuesta",
+    "gesture.selectPrompt": "Selecciona tu opción",
+    "gesture.useHand.right": "Usa la mano derecha",
+    "gesture.useHand.left": "Usa la mano izquierda",
+    "gesture.pointPrompt": "Señala una opción con el índice y mantente encima",
+    "gesture.active": "MediaPipe Activo",
+    "gesture.starting": "Iniciando...",
+    "gesture.loading": "Descargando modelos de gestos",
+    "gesture.loadingProgress": "Descargando modelos de gestos… {percent} %",
+    "gesture.paused":
+      "⏸️ Sin manos a la vista: detección en pausa. Mueve la mano delante de la cámara para continuar.",
+    "gesture.resume": "Reanudar",
+    "gesture.option": "Opción {letter}",
+    "gesture.fingers": { one: "{count} dedo", other: "{count} dedos" },
+    "gesture.hold": "Mantén el gesto {seconds} para elegirlo",
+    "gesture.twoHands": "{first} + {second} dedos (dos manos)",
+    "gesture.available": "Gestos disponibles:",
+    "gesture.confirmChoice": "Confirma tu elección:",
+    "gesture.fist": "Puño cerrado",
+    "gesture.openHand": "Mano abierta",
+    "gesture.confirm": "Confirmar",
+    "gesture.cancel": "Cancelar",
+    "gesture.okLabel": "OK",
+    "gesture.cancelLabel": "CANCEL",
+    "gesture.error.load": "Error al cargar la librería de detección de gestos",
+    "gesture.error.assets":
+      "No se pudieron descargar los modelos de gestos desde {base}. Comprueba que la aplicación los incluye o la variable VITE_MEDIAPIPE_ASSET_BASE.",
+    "gesture.error.camera":
+      "No se pudo acceder a la cámara. Verifique los permisos.",
+
+    "calibration.title": "🎯 Calibrar mis gestos",
+    "calibration.start": "🎯 Calibrar gestos",
+    "calibration.redo": "🎯 Volver a calibrar",
+    "calibration.clear": "Volver a contar dedos",
+    "calibration.active": "Usando tus gestos calibrados",
+    "calibration.step": "Gesto {current} de {total}",
+    "calibration.pose": "Tu gesto para «{pose}» ({commands})",
+    "calibration.instructions":
+      "Haz el gesto como te resulte cómodo, pulsa Grabar y mantenlo unos segundos",
+    "calibration.recording": "Grabando… {count} de {total}",
+    "calibration.noHand": "No se ve tu mano: ponla frente a la cámara",
+    "calibration.record": "⏺️ Grabar",
+    "calibration.cancel": "Cancelar",
+
+    "pose.thumbsUp": "Pulgar arriba",
+    "pose.pinch": "Pinza (pulgar e índice juntos)",
+    "pose.peace": "Señal de paz (V)",
+    "pose.swipeLeft": "Deslizar la mano a la izquierda",
+    "pose.swipeRight": "Deslizar la mano a la derecha",
+    "pose.wave": "Saludar con la mano",
+    "pose.raiseHold": "Levantar la mano y mantenerla",
+    "hand.right": "Derecha",
+    "hand.left": "Izquierda",
+    "gestureBindings.title": "🤚 Asignar gestos",
+    "gestureBindings.hint":
+      "Elige qué postura activa cada comando. Confirmar y Cancelar solo se usan al confirmar una respuesta, así que pueden repetir postura con el resto.",
+    "gestureBindings.none": "Sin gesto",
+    "gestureBindings.conflict":
+      "{pose} está asignado a varios comandos ({commands}) y no hará nada hasta que lo cambies",
+    "gestureBindings.reset": "Restablecer gestos",
+    "gestureBindings.command.next": "Siguiente pregunta",
+    "gestureBindings.command.repeat": "Repetir pregunta",
+    "gestureBindings.command.help": "Abrir o cerrar la ayuda",
+
+    "help.open": "Abrir instrucciones de uso",
+    "help.openTitle": "Instrucciones de uso",
+    "help.title": "📖 Instrucciones de Uso",
+    "help.close": "Cerrar instrucciones",
+    "help.voice.title": "🎤 Entrada por Voz",
+    "help.voice.enable": 'Activa el modo "Entrada por Voz" en los controles',
+    "help.voice.say":
+      'Di claramente la letra de la opción: "Opción A", "Opción B"… (hasta "Opción F" en preguntas de seis opciones), su posición ("la segunda") o el texto de la opción',
+    "help.voice.clarify":
+      "Si lo que dices encaja con varias opciones, se te preguntará cuál querías",
+    "help.voice.confirm": "Confirma tu respuesta cuando se te solicite",
+    "help.voice.clarity": "Habla con claridad y en un ambiente silencioso",
+    "help.voice.commands":
+      'También puedes decir "ayuda", "cerrar", "reiniciar", "puntaje", "leer opciones", "pregunta anterior" (la repasa en voz alta), "modo suave", "modo vibrante" o "activar/desactivar sonido, vibración o gestos"',
+    "help.gestures.title": "🤚 Control por Gestos",
+    "help.gestures.enable": 'Activa "Gestos" en los controles superiores',
+    "help.gestures.camera": "Permite el acceso a la cámara cuando se solicite",
+    "help.gestures.count":
+      "Muestra 1, 2, 3… dedos para seleccionar A, B, C… (5 dedos = opción E)",
+    "help.gestures.twoHands":
+      "Para la opción F usa las dos manos: una abierta y un dedo en la otra",
+    "help.gestures.steady":
+      "Mantén la mano visible y estable frente a la cámara",
+    "help.gestures.hold":
+      "Cada gesto cuenta cuando lo mantienes; el anillo muestra cuánto falta (el tiempo se cambia en las preferencias)",
+    "help.gestures.release":
+      "Tras elegir una opción, baja o cambia la mano antes de confirmar o cancelar: el gesto que abrió la confirmación no cuenta dentro de ella",
+    "help.gestures.calibrate":
+      "Si te cuesta hacer las posturas de dedos, usa «Calibrar gestos» para grabar tus propios gestos",
+    "help.gestures.bindings":
+      "En «Asignar gestos» puedes cambiar qué postura usa cada comando (pulgar arriba, pinza, señal de paz o un número de dedos)",
+    "help.gestures.motion":
+      "También hay movimientos: desliza la mano hacia tu izquierda para pasar a la siguiente pregunta, saluda para oír la pregunta otra vez y levanta la mano y déjala quieta para abrir la ayuda",
+    "help.gestures.hands":
+      "En «Manos para los gestos» puedes usar solo tu mano dominante (se ignora la de quien te ayude) o elegir la opción con una mano y confirmar con la otra",
+    "help.gestures.pointer":
+      "Con «Puntero en el aire», la punta del índice mueve un cursor: quédate sobre una opción hasta que se llene para elegirla",
+    "help.keyboard.title": "⌨️ Navegación por Teclado",
+    "help.keyboard.select":
+      "Seleccionar opciones A-F (según las opciones de cada pregunta)",
+    "help.keyboard.enter":
+      "Confirmar respuesta seleccionada (también en las confirmaciones de voz y gesto) o pasar a la siguiente",
+    "help.keyboard.next": "Siguiente pregunta tras responder",
+    "help.keyboard.repeat": "Repetir la pregunta en voz alta",
+    "help.keyboard.help": "Abrir estas instrucciones",
+    "help.keyboard.tab": "Navegar entre elementos",
+    "help.keyboard.escape":
+      "Cancelar la selección o la confirmación y cerrar modales",
+    "help.keyboard.or": "o",
+    "help.a11y.title": "♿ Opciones de Accesibilidad",
+    "help.a11y.reducedTitle": "Modo Suave:",
+    "help.a11y.reduced": "Reduce animaciones y simplifica la interfaz",
+    "help.a11y.feedbackTitle": "Sonido/Vibración:",
+    "help.a11y.feedback": "Feedback multisensorial para confirmaciones",
+    "help.a11y.timedTitle": "Tiempo límite:",
+    "help.a11y.timed":
+      "Cuenta atrás opcional con anillo visual, pitidos, vibración y avisos por voz. Se pausa mientras confirmas por voz o gesto",
+    "help.a11y.ttsTitle": "Voz de lectura:",
+    "help.a11y.tts":
+      "Elige la voz, la velocidad, el tono y el volumen con que se leen las preguntas y avisos",
+    "help.a11y.asrTitle": "Reconocimiento de voz:",
+    "help.a11y.asr":
+      "Usa el del navegador o uno local que funciona sin conexión después de grabar las frases con tu voz",
+    "help.a11y.languageTitle": "Idioma:",
+    "help.a11y.language":
+      "Cambia a la vez los textos, la voz que lee y el idioma del reconocimiento de voz",
+    "help.tips.title": "💡 Consejos Generales",
+    "help.tips.channels":
+      "Activa solo los modos que necesites para evitar sobrecarga sensorial",
+    "help.tips.headphones": "Usa auriculares para mejor experiencia de audio",
+    "help.tips.lighting":
+      "Asegúrate de tener buena iluminación para el reconocimiento de gestos",
+    "help.tips.anytime":
+      "Todas las configuraciones se pueden cambiar en cualquier momento",
+  },
+
+  // Gramática de comandos de voz
+  // Vocabulario del reconocimiento de voz. Cada entrada de letters, ordinals y
+  // numbers lista las formas con que se puede nombrar esa opción (A, B, C…).
+  voice: {
+    optionWords: ["opción", "letra"],
+    // Relleno que no ayuda a reconocer una opción por su texto
+    // ("creo que la respuesta es…")
+    fillerWords: [
+      "respuesta", "creo", "pienso", "digo", "elijo", "escojo", "quiero",
+      "seria", "sera", "pues", "bueno", "que", "los", "las", "una", "del",
+      "para", "por",
+    ],
+    // Tras estas palabras, una letra al final de la frase es la opción ("es la b")
+    letterLeadWords: ["la", "es"],
+    letters: [["a"], ["b", "be"], ["c", "ce"], ["d", "de"], ["e"], ["f", "efe"]],
+    ordinals: [
+      ["primera", "primero"],
+      ["segunda", "segundo"],
+      ["tercera", "tercero"],
+      ["cuarta", "cuarto"],
+      ["quinta", "quinto"],
+      ["sexta", "sexto"],
+    ],
+    numbers: [["uno"], ["dos"], ["tres"], ["cuatro"], ["cinco"], ["seis"]],
+    commands: {
+      repeat: ["repetir", "repetir pregunta", "lee otra vez"],
+      next: ["siguiente", "continuar"],
+      confirm: ["sí", "confirmar"],
+      cancel: ["no", "cancelar"],
+      help: ["ayuda", "instrucciones"],
+      close: ["cerrar", "cerrar ayuda", "cerrar resultados"],
+      restart: ["reiniciar", "reiniciar trivia", "empezar de nuevo"],
+      score: ["puntaje", "puntuación", "mi puntaje"],
+      readOptions: ["leer opciones", "opciones", "cuáles son las opciones"],
+      reviewPrevious: [
+        "pregunta anterior",
+        "anterior",
+        "repasar pregunta anterior",
+        "repasar anterior",
+      ],
+      soundOn: ["activar sonido"],
+      soundOff: ["desactivar sonido", "silenciar"],
+      vibrationOn: ["activar vibración"],
+      vibrationOff: ["desactivar vibración"],
+      gesturesOn: ["activar gestos"],
+      gesturesOff: ["desactivar gestos"],
+      calmMode: ["modo suave", "activar modo suave"],
+      vibrantMode: ["modo vibrante", "activar modo vibrante"],
+    },
+  },
+};
@@ -0,0 +1,61 @@
+import es from "./es.js";
+import en from "./en.js";
+import pt from "./pt.js";
+
+// Idiomas disponibles: textos de la interfaz, voz (TTS), reconocimiento de voz
+// y gramática de comandos cambian juntos al elegir un idioma.
+export const LOCALES = {
+  es: { label: "Español", ...es },
+  en: { label: "English", ...en },
+  pt: { label: "Português", ...pt },
+};
+
+export const DEFAULT_LOCALE = "es";
+
+// Primer idioma del navegador que tengamos traducido
+export function detectLocale() {
+  const candidates =
+    typeof navigator !== "undefined"
+      ? navigator.languages || [navigator.language]
+      : [];
+  for (const candidate of candidates) {
+    const base = String(candidate || "").slice(0, 2).toLowerCase();
+    if (LOCALES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function interpolate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+// Busca la clave en el idioma pedido y, si falta, en el idioma por defecto.
+// Los mensajes con forma { one, other } eligen según params.count.
+export function translate(locale, key, params = {}) {
+  const message =
+    LOCALES[locale]?.messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+
+  if (message === undefined) {
+    console.warn("🌐 Falta traducción:", key);
+    return key;
+  }
+
+  if (typeof message === "object") {
+    return interpolate(
+      params.count === 1 ? message.one : message.other,
+      params
+    );
+  }
+
+  return interpolate(message, params);
+}
+
+export function getVoiceGrammar(locale) {
+  return (LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE]).voice;
+}
+
+export function getSpeechLang(locale) {
+  return (LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE]).speechLang;
+}
@@ -0,0 +1,428 @@
+// Catálogo em português (Brasil)
+export default {
+  speechLang: "pt-BR",
+  messages: {
+    "common.or": "ou",
+
+    "app.title": "Trivia Multissensorial Acessível",
+    "app.language": "Idioma",
+    "app.loadingPack": "Carregando questionário…",
+
+    "start.choosePack": "Escolha um questionário",
+    "start.loadingPacks": "Carregando questionários…",
+    "start.noPacks": "Não há questionários disponíveis.",
+    "start.begin": "Começar",
+
+    "resume.title": "Você tem uma trivia não terminada",
+    "resume.progress": "{pack}: você respondeu {answered} de {total} perguntas.",
+    "resume.continue": "Continuar de onde parei",
+    "resume.startOver": "Começar de novo",
+
+    "pack.change": "Escolher outro questionário",
+    "pack.loadErrorTitle": "Não foi possível carregar o questionário",
+    "pack.error.notObject": "O questionário não é um objeto JSON válido",
+    "pack.error.schemaVersion":
+      "Versão de esquema não suportada: {found} (esperava-se {expected})",
+    "pack.error.missingId": 'Falta o campo "id" do questionário',
+    "pack.error.missingTitle": 'Falta o campo "title" do questionário',
+    "pack.error.language":
+      'Idioma "{language}" não suportado (são aceitos {allowed})',
+    "pack.error.noQuestions": "O questionário não contém perguntas",
+    "pack.error.questionNotObject": "Pergunta {number}: não é um objeto",
+    "pack.error.questionMissingId": 'Pergunta {number}: falta o campo "id"',
+    "pack.error.questionDuplicateId":
+      'Pergunta {number}: o id "{id}" está repetido',
+    "pack.error.questionMissingText":
+      "Pergunta {number}: falta o texto da pergunta",
+    "pack.error.optionsEmpty": "Pergunta {number}: a lista de opções está vazia",
+    "pack.error.optionsCount":
+      "Pergunta {number}: tem {count} opções (são permitidas de {min} a {max})",
+    "pack.error.optionEmpty": "Pergunta {number}: a opção {option} está vazia",
+    "pack.error.correctNotInteger":
+      'Pergunta {number}: "correct" deve ser um índice inteiro',
+    "pack.error.correctOutOfRange":
+      'Pergunta {number}: o índice "correct" ({correct}) está fora do intervalo (0-{max})',
+    "pack.error.explanationType":
+      'Pergunta {number}: "explanation" deve ser texto',
+    "pack.error.tagsType":
+      'Pergunta {number}: "tags" deve ser uma lista de textos',
+    "pack.error.difficulty":
+      'Pergunta {number}: "difficulty" deve ser um de {allowed}',
+    "pack.error.invalid": 'O questionário "{id}" não é válido:\n- {errors}',
+    "pack.error.http": "Não foi possível carregar {url} (HTTP {status})",
+    "pack.error.json": "{url} não contém JSON válido",
+    "pack.error.notFound": 'Não existe nenhum questionário com id "{id}"',
+    "pack.error.idMismatch":
+      'O arquivo {file} declara o id "{found}" em vez de "{expected}"',
+
+    "prefs.label": "Preferências de estímulos",
+    "prefs.sound": "Som",
+    "prefs.vibration": "Vibração",
+    "prefs.voice": "Voz",
+    "prefs.voiceInput": "🎤 Entrada por Voz",
+    "prefs.gestures": "🤚 Gestos",
+    "prefs.reducedOn": "Modo Suave",
+    "prefs.reducedOff": "Modo Vibrante",
+    "prefs.timedMode": "⏱️ Tempo limite",
+    "prefs.timeLimit": "Segundos por pergunta",
+    "prefs.gestureHold": "Manter o gesto",
+    "prefs.gestureHands": "Mãos para os gestos",
+    "prefs.gestureHands.both": "As duas (os dedos se somam)",
+    "prefs.gestureHands.dominant": "Só a mão dominante",
+    "prefs.gestureHands.split": "Uma escolhe e a dominante confirma",
+    "prefs.dominantHand": "Mão dominante",
+    "prefs.motionSensitivity": "Sensibilidade dos movimentos",
+    "prefs.motionSensitivity.low": "Baixa (movimentos amplos)",
+    "prefs.motionSensitivity.normal": "Normal",
+    "prefs.motionSensitivity.high": "Alta (movimentos curtos)",
+    "prefs.airPointer": "👉 Ponteiro no ar",
+    "prefs.airPointerDwell": "Tempo sobre a opção",
+    "prefs.airPointerMirrored": "Cursor espelhado",
+    "prefs.airPointerTick": "Som ao passar por uma opção",
+    "prefs.reset": "↺ Restaurar preferências",
+    "prefs.resetTitle":
+      "Voltar aos valores padrão de acordo com as configurações do sistema",
+    "prefs.resetDone": "Preferências restauradas",
+
+    "tts.title": "🗣️ Voz de leitura",
+    "tts.voice": "Voz",
+    "tts.defaultVoice": "Padrão do navegador",
+    "tts.noVoices": "Não há vozes instaladas para este idioma.",
+    "tts.rate": "Velocidade",
+    "tts.pitch": "Tom",
+    "tts.volume": "Volume",
+    "tts.preview": "▶ Testar voz",
+    "tts.sample": "É assim que as perguntas e os avisos da trivia vão soar.",
+
+    "asr.title": "🎙️ Reconhecimento de voz",
+    "asr.backend": "Motor",
+    "asr.backend.webSpeech": "Navegador (precisa de conexão)",
+    "asr.backend.local": "Local (sem conexão)",
+    "asr.unsupported": "{backend}: não disponível neste navegador",
+    "asr.trainHint":
+      "O motor local só entende as frases que você gravar aqui com a sua voz. Grave cada uma duas ou três vezes.",
+    "asr.record": "● Gravar",
+    "asr.clear": "Apagar",
+    "asr.samples": { one: "{count} gravação", other: "{count} gravações" },
+    "asr.recording": "Diga “{phrase}” agora…",
+    "asr.recorded": "Gravação de “{phrase}” salva",
+    "asr.error.noSpeech": "Nada foi ouvido. Tente novamente.",
+
+    "progress.question": "Pergunta {current} de {total}",
+    "progress.score": "Pontuação:",
+    "progress.bar": "Progresso: {current} de {total} perguntas concluídas",
+    "progress.completed": "Pergunta {number} concluída",
+    "progress.current": "Pergunta {number} atual",
+    "progress.upcoming": "Pergunta {number} pendente",
+
+    "quiz.next": "Próxima",
+    "quiz.restart": "Reiniciar Trivia",
+
+    "status.correct": "Correto!",
+    "status.wrong": "Resposta incorreta",
+    "status.timeout": "⏱️ Tempo esgotado",
+
+    "speech.question": "Pergunta {number}. {text}.",
+    "speech.option": "Opção {letter}: {text}.",
+    "speech.correct": "Resposta correta",
+    "speech.wrong": "Resposta incorreta",
+    "speech.timeout": "Tempo esgotado",
+    "speech.answerCancelled":
+      "Resposta cancelada. Você pode escolher outra opção.",
+    "speech.commandCancelled":
+      "Comando cancelado. Você pode escolher outra opção.",
+    "speech.gestureCancelled": "Gesto cancelado. Você pode tentar de novo.",
+    "speech.answerConfirmed": "Resposta {letter} confirmada",
+    "speech.clarify": "Não tenho certeza. Você quis dizer {choices}?",
+    "speech.confirmVoice":
+      'Confirma a opção {letter}: {text}? Diga "sim" para confirmar ou "não" para cancelar.',
+    "speech.confirmGesture":
+      "Confirma a opção {letter}: {text}? Feche a mão para confirmar ou abra a mão para cancelar.",
+    "speech.keyboardSelected":
+      "Opção {letter}: {text}. Pressione Enter para confirmar.",
+    "speech.timeLeft": "Restam {seconds} segundos",
+    "speech.options": "Opções: {options}.",
+    "speech.score": {
+      one: "Você tem {score} acerto de {count} resposta.",
+      other: "Você tem {score} acertos de {count} respostas.",
+    },
+    "speech.previous": "Revisão da pergunta anterior: {text}. {review}",
+    "speech.noPrevious": "Esta é a primeira pergunta.",
+    "speech.restarted": "Trivia reiniciada.",
+    "speech.confirmRestart":
+      'Reiniciar a trivia? O progresso será perdido. Diga "sim" para confirmar ou "não" para cancelar.',
+    "speech.restartCancelled":
+      "Reinício cancelado. Você continua na mesma pergunta.",
+    "speech.setting.soundOn": "Som ativado",
+    "speech.setting.soundOff": "Som desativado",
+    "speech.setting.vibrationOn": "Vibração ativada",
+    "speech.setting.vibrationOff": "Vibração desativada",
+    "speech.setting.gesturesOn": "Gestos ativados",
+    "speech.setting.gesturesOff": "Gestos desativados",
+    "speech.setting.calmMode": "Modo suave ativado",
+    "speech.setting.vibrantMode": "Modo vibrante ativado",
+    "speech.results":
+      "Trivia concluída! Você acertou {score} de {total} perguntas. Isso é {percent} por cento de acertos.",
+
+    "results.title": "Trivia Concluída! 🎉",
+    "results.close": "Fechar resultados",
+    "results.correct": "Respostas Corretas:",
+    "results.incorrect": "Respostas Incorretas:",
+    "results.total": "Total de Perguntas:",
+    "results.percent": "Porcentagem de Acertos:",
+    "results.perfect": "Perfeito! Você respondeu todas as perguntas corretamente.",
+    "results.excellent": "Excelente trabalho! Você tem um grande conhecimento.",
+    "results.good": "Bom trabalho! Continue praticando para melhorar.",
+    "results.keepTrying": "Continue tentando! A prática leva à perfeição.",
+
+    "review.title": "Revisão das respostas",
+    "review.readAloud": "🔊 Ler revisão",
+    "review.yourAnswer": "Sua resposta",
+    "review.correctAnswer": "Correta",
+    "review.channel": "Via",
+    "review.time": "Tempo",
+    "review.unanswered": "Sem resposta",
+    "review.summaryUnanswered":
+      "Pergunta {number}: sem resposta. A correta era {correct}.",
+    "review.summaryCorrect": "Pergunta {number}: correta, você respondeu {chosen}.",
+    "review.summaryWrong":
+      "Pergunta {number}: incorreta, você respondeu {chosen}. A correta era {correct}.",
+
+    "channel.click": "Clique ou toque",
+    "channel.keyboard": "Teclado",
+    "channel.voice": "Voz",
+    "channel.gesture": "Gesto",
+    "channel.pointer": "Ponteiro no ar",
+    "channel.timeout": "Tempo esgotado",
+
+    "timer.secondsLeft": "segundos restantes",
+    "timer.paused": "⏸ Em pausa",
+
+    "note.prefix": "Recomendação: ativar/desativar",
+    "note.and": "e",
+    "note.suffix": "para evitar a sobrecarga sensorial.",
+
+    "voiceMic.active": "Modo Voz Ativo",
+    "voiceMic.inactive": "Modo Voz Inativo",
+    "voiceMic.detected": "Detectado:",
+    "voiceMic.listening":
+      "Ouvindo... Diga 'Opção' seguida de {letters}, ou a própria resposta",
+    "voiceMic.ready": "Reconhecimento ativo - Fale quando estiver pronto",
+    "voiceMic.paused": "Em pausa enquanto o app fala",
+    "voiceMic.backend": "Motor: {backend}",
+    "voiceMic.untrained":
+      "O motor local ainda não tem frases gravadas. Grave-as em “Reconhecimento de voz”.",
+    "voiceMic.restarting": "Reconectando o reconhecimento de voz…",
+    "voiceMic.error.permission":
+      "Não há permissão para usar o microfone. Permita no navegador e ative a entrada por voz novamente.",
+    "voiceMic.error.noMicrophone":
+      "Nenhum microfone foi encontrado. Conecte um e ative a entrada por voz novamente.",
+    "voiceMic.clarify": "Você quis dizer {choices}? Diga a letra da opção.",
+
+    "confirm.voiceTitle": "Confirmar resposta por voz",
+    "confirm.gestureTitle": "Confirmar resposta por gesto",
+    "confirm.detected": "Detectado:",
+    "confirm.option": "Opção {letter}",
+    "confirm.restartTitle": "Reiniciar a trivia?",
+    "confirm.restartText":
+      "As respostas desta partida e a partida salva serão perdidas.",
+    "confirm.voiceInstructions":
+      'Diga **"SIM"** para ACEITAR ou **"NÃO"** para CANCELAR',
+    "confirm.gestureInstructions":
+      "🤜 **Feche a mão** para confirmar | 🖐️ **Abra a mão** para cancelar",
+    "confirm.accept": "✓ Confirmar",
+    "confirm.cancel": "✗ Cancelar",
+
+    "gesture.title": "🤚 Sistema de Gestos {mode}",
+    "gesture.modeReduced": "Suave",
+    "gesture.modeVibrant": "Vibrante",
+    "gesture.confirmPrompt": "Confirme sua resposta",
+    "gesture.selectPrompt": "Selecione sua opção",
+    "gesture.useHand.right": "Use a mão direita",
+    "gesture.useHand.left": "Use a mão esquerda",
+    "gesture.pointPrompt": "Aponte para uma opção com o indicador e fique sobre ela",
+    "gesture.active": "MediaPipe Ativo",
+    "gesture.starting": "Iniciando...",
+    "gesture.loading": "Baixando modelos de gestos",
+    "gesture.loadingProgress": "Baixando modelos de gestos… {percent}%",
+    "gesture.paused":
+      "⏸️ Nenhuma mão à vista: detecção em pausa. Mova a mão na frente da câmera para continuar.",
+    "gesture.resume": "Retomar",
+    "gesture.option": "Opção {letter}",
+    "gesture.fingers": { one: "{count} dedo", other: "{count} dedos" },
+    "gesture.hold": "Mantenha o gesto por {seconds} para escolhê-lo",
+    "gesture.twoHands": "{first} + {second} dedos (duas mãos)",
+    "gesture.available": "Gestos disponíveis:",
+    "gesture.confirmChoice": "Confirme sua escolha:",
+    "gesture.fist": "Mão fechada",
+    "gesture.openHand": "Mão aberta",
+    "gesture.confirm": "Confirmar",
+    "gesture.cancel": "Cancelar",
+    "gesture.okLabel": "OK",
+    "gesture.cancelLabel": "CANCEL",
+    "gesture.error.load":
+      "Erro ao carregar a biblioteca de detecção de gestos",
+    "gesture.error.assets":
+      "Não foi possível baixar os modelos de gestos de {base}. Verifique se o aplicativo os inclui ou a variável VITE_MEDIAPIPE_ASSET_BASE.",
+    "gesture.error.camera":
+      "Não foi possível acessar a câmera. Verifique as permissões.",
+
+    "calibration.title": "🎯 Calibrar meus gestos",
+    "calibration.start": "🎯 Calibrar gestos",
+    "calibration.redo": "🎯 Calibrar novamente",
+    "calibration.clear": "Voltar a contar dedos",
+    "calibration.active": "Usando seus gestos calibrados",
+    "calibration.step": "Gesto {current} de {total}",
+    "calibration.pose": "Seu gesto para «{pose}» ({commands})",
+    "calibration.instructions":
+      "Faça o gesto do jeito que for confortável, toque em Gravar e mantenha-o por alguns segundos",
+    "calibration.recording": "Gravando… {count} de {total}",
+    "calibration.noHand":
+      "Sua mão não está visível: coloque-a diante da câmera",
+    "calibration.record": "⏺️ Gravar",
+    "calibration.cancel": "Cancelar",
+
+    "pose.thumbsUp": "Polegar para cima",
+    "pose.pinch": "Pinça (polegar e indicador juntos)",
+    "pose.peace": "Sinal de paz (V)",
+    "pose.swipeLeft": "Deslizar a mão para a esquerda",
+    "pose.swipeRight": "Deslizar a mão para a direita",
+    "pose.wave": "Acenar com a mão",
+    "pose.raiseHold": "Levantar a mão e mantê-la",
+    "hand.right": "Direita",
+    "hand.left": "Esquerda",
+    "gestureBindings.title": "🤚 Atribuir gestos",
+    "gestureBindings.hint":
+      "Escolha qual postura ativa cada comando. Confirmar e Cancelar só são usados ao confirmar uma resposta, então podem repetir postura com o resto.",
+    "gestureBindings.none": "Sem gesto",
+    "gestureBindings.conflict":
+      "{pose} está atribuído a vários comandos ({commands}) e não fará nada até você mudá-lo",
+    "gestureBindings.reset": "Restaurar gestos",
+    "gestureBindings.command.next": "Próxima pergunta",
+    "gestureBindings.command.repeat": "Repetir pergunta",
+    "gestureBindings.command.help": "Abrir ou fechar a ajuda",
+
+    "help.open": "Abrir instruções de uso",
+    "help.openTitle": "Instruções de uso",
+    "help.title": "📖 Instruções de Uso",
+    "help.close": "Fechar instruções",
+    "help.voice.title": "🎤 Entrada por Voz",
+    "help.voice.enable": 'Ative o modo "Entrada por Voz" nos controles',
+    "help.voice.say":
+      'Diga claramente a letra da opção: "Opção A", "Opção B"… (até "Opção F" em perguntas com seis opções), a posição ("a segunda") ou o texto da opção',
+    "help.voice.clarify":
+      "Se o que você disser servir para várias opções, será perguntado qual você quis dizer",
+    "help.voice.confirm": "Confirme sua resposta quando solicitado",
+    "help.voice.clarity": "Fale com clareza e em um ambiente silencioso",
+    "help.voice.commands":
+      'Você também pode dizer "ajuda", "fechar", "reiniciar", "pontuação", "ler opções", "pergunta anterior" (lê de novo em voz alta), "modo suave", "modo vibrante" ou "ativar/desativar som, vibração ou gestos"',
+    "help.gestures.title": "🤚 Controle por Gestos",
+    "help.gestures.enable": 'Ative "Gestos" nos controles superiores',
+    "help.gestures.camera": "Permita o acesso à câmera quando solicitado",
+    "help.gestures.count":
+      "Mostre 1, 2, 3… dedos para selecionar A, B, C… (5 dedos = opção E)",
+    "help.gestures.twoHands":
+      "Para a opção F use as duas mãos: uma aberta e um dedo na outra",
+    "help.gestures.steady": "Mantenha a mão visível e estável diante da câmera",
+    "help.gestures.hold":
+      "Cada gesto conta quando você o mantém; o anel mostra quanto falta (mude o tempo nas preferências)",
+    "help.gestures.release":
+      "Depois de escolher uma opção, abaixe ou mude a mão antes de confirmar ou cancelar: o gesto que abriu a confirmação não conta dentro dela",
+    "help.gestures.calibrate":
+      "Se for difícil fazer as posturas de dedos, use «Calibrar gestos» para gravar seus próprios gestos",
+    "help.gestures.bindings":
+      "Em «Atribuir gestos» você pode mudar qual postura cada comando usa (polegar para cima, pinça, sinal de paz ou um número de dedos)",
+    "help.gestures.motion":
+      "Também há movimentos: deslize a mão para a sua esquerda para passar à próxima pergunta, acene para ouvir a pergunta de novo e levante a mão e deixe-a parada para abrir a ajuda",
+    "help.gestures.hands":
+      "Em «Mãos para os gestos» você pode usar só a mão dominante (a de quem ajuda é ignorada) ou escolher a opção com uma mão e confirmar com a outra",
+    "help.gestures.pointer":
+      "Com «Ponteiro no ar», a ponta do indicador move um cursor: fique sobre uma opção até ela se encher para escolhê-la",
+    "help.keyboard.title": "⌨️ Navegação por Teclado",
+    "help.keyboard.select":
+      "Selecionar opções A-F (de acordo com as opções de cada pergunta)",
+    "help.keyboard.enter":
+      "Confirmar a resposta selecionada (também nas confirmações por voz e gesto) ou passar para a próxima",
+    "help.keyboard.next": "Próxima pergunta depois de responder",
+    "help.keyboard.repeat": "Repetir a pergunta em voz alta",
+    "help.keyboard.help": "Abrir estas instruções",
+    "help.keyboard.tab": "Navegar entre elementos",
+    "help.keyboard.escape":
+      "Cancelar a seleção ou a confirmação e fechar janelas",
+    "help.keyboard.or": "ou",
+    "help.a11y.title": "♿ Opções de Acessibilidade",
+    "help.a11y.reducedTitle": "Modo Suave:",
+    "help.a11y.reduced": "Reduz animações e simplifica a interface",
+    "help.a11y.feedbackTitle": "Som/Vibração:",
+    "help.a11y.feedback": "Feedback multissensorial para confirmações",
+    "help.a11y.timedTitle": "Tempo limite:",
+    "help.a11y.timed":
+      "Contagem regressiva opcional com anel visual, bipes, vibração e avisos por voz. Pausa enquanto você confirma por voz ou gesto",
+    "help.a11y.ttsTitle": "Voz de leitura:",
+    "help.a11y.tts":
+      "Escolha a voz, a velocidade, o tom e o volume com que as perguntas e avisos são lidos",
+    "help.a11y.asrTitle": "Reconhecimento de voz:",
+    "help.a11y.asr":
+      "Use o do navegador ou um local que funciona sem conexão depois de gravar as frases com a sua voz",
+    "help.a11y.languageTitle": "Idioma:",
+    "help.a11y.language":
+      "Muda ao mesmo tempo os textos, a voz de leitura e o idioma do reconhecimento de voz",
+    "help.tips.title": "💡 Dicas Gerais",
+    "help.tips.channels":
+      "Ative apenas os modos de que precisar para evitar sobrecarga sensorial",
+    "help.tips.headphones": "Use fones de ouvido para uma melhor experiência de áudio",
+    "help.tips.lighting":
+      "Garanta uma boa iluminação para o reconhecimento de gestos",
+    "help.tips.anytime": "Todas as configurações podem ser alteradas a qualquer momento",
+  },
+
+  // Vocabulário do reconhecimento de voz. Cada entrada de letters, ordinals e
+  // numbers lista as formas de nomear essa opção (A, B, C…).
+  voice: {
+    optionWords: ["opção", "letra"],
+    // Palavras de preenchimento que não ajudam a reconhecer uma opção pelo
+    // texto ("acho que a resposta é…")
+    fillerWords: [
+      "resposta", "acho", "penso", "digo", "escolho", "quero", "seria",
+      "sera", "bom", "que", "uma", "das", "dos",
+      "para", "por",
+    ],
+    // Depois destas palavras, uma letra no fim da frase é a opção ("é a b")
+    letterLeadWords: ["a"],
+    letters: [["a"], ["b", "bê"], ["c", "cê"], ["d", "dê"], ["e"], ["f", "efe"]],
+    ordinals: [
+      ["primeira", "primeiro"],
+      ["segunda", "segundo"],
+      ["terceira", "terceiro"],
+      ["quarta", "quarto"],
+      ["quinta", "quinto"],
+      ["sexta", "sexto"],
+    ],
+    numbers: [["um"], ["dois", "duas"], ["três"], ["quatro"], ["cinco"], ["seis"]],
+    commands: {
+      repeat: ["repetir", "repetir pergunta", "leia de novo"],
+      next: ["próxima", "continuar"],
+      confirm: ["sim", "confirmar"],
+      cancel: ["não", "cancelar"],
+      help: ["ajuda", "instruções"],
+      close: ["fechar", "fechar ajuda", "fechar resultados"],
+      restart: ["reiniciar", "reiniciar trivia", "começar de novo"],
+      score: ["pontuação", "placar", "minha pontuação"],
+      readOptions: ["ler opções", "opções", "quais são as opções"],
+      reviewPrevious: [
+        "pergunta anterior",
+        "anterior",
+        "revisar pergunta anterior",
+        "revisar anterior",
+      ],
+      soundOn: ["ativar som", "ligar som"],
+      soundOff: ["desativar som", "desligar som", "silenciar"],
+      vibrationOn: ["ativar vibração", "ligar vibração"],
+      vibrationOff: ["desativar vibração", "desligar vibração"],
+      gesturesOn: ["ativar gestos", "ligar gestos"],
+      gesturesOff: ["desativar gestos", "desligar gestos"],
+      calmMode: ["modo suave", "ativar modo suave"],
+      vibrantMode: ["modo vibrante", "ativar modo vibrante"],
+    },
+  },
+};
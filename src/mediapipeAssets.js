@@ -0,0 +1,123 @@
+// =====================
+// Archivos de MediaPipe Hands
+// =====================
+// El wasm, los modelos y los datos de @mediapipe/hands se sirven desde el propio
+// origen (los copia el plugin de vite.config.js), así los gestos funcionan sin
+// conexión o en redes que bloquean CDNs. VITE_MEDIAPIPE_ASSET_BASE permite
+// servirlos desde otra URL (debe terminar en "/").
+
+export const MEDIAPIPE_HANDS_ASSET_BASE =
+  import.meta.env.VITE_MEDIAPIPE_ASSET_BASE ||
+  `${import.meta.env.BASE_URL}mediapipe/hands/`;
+
+// La misma prueba que usa MediaPipe para elegir el wasm con SIMD
+const SIMD_TEST_MODULE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 4, 1, 96, 0, 0, 3, 2, 1, 0, 10, 9, 1, 7, 0,
+  65, 0, 253, 15, 26, 11,
+]);
+
+const MODEL_FILES = ["hand_landmark_lite.tflite", "hand_landmark_full.tflite"];
+
+// URL blob: de la última descarga, por archivo
+const prefetchedUrls = new Map();
+
+export function locateHandsFile(file) {
+  return `${MEDIAPIPE_HANDS_ASSET_BASE}${file}`;
+}
+
+function createAssetError(file, cause) {
+  const url = locateHandsFile(file);
+  return Object.assign(new Error(`No se pudo descargar ${url}`), {
+    code: "assets",
+    file,
+    cause,
+  });
+}
+
+// Archivos que MediaPipe va a pedir con esta configuración
+function getRequiredFiles(modelComplexity) {
+  const wasm = WebAssembly.validate(SIMD_TEST_MODULE)
+    ? "hands_solution_simd_wasm_bin"
+    : "hands_solution_wasm_bin";
+  return [
+    "hands_solution_packed_assets_loader.js",
+    "hands_solution_packed_assets.data",
+    `${wasm}.js`,
+    `${wasm}.wasm`,
+    "hands.binarypb",
+    MODEL_FILES[modelComplexity] ?? MODEL_FILES[1],
+  ];
+}
+
+// Descarga los archivos antes de arrancar MediaPipe para poder mostrar el
+// progreso (onProgress recibe un número de 0 a 1) y saber qué archivo falla.
+// Devuelve el locateFile que hay que pasarle a Hands: los archivos descargados
+// se le entregan desde memoria (URL blob:) y no se vuelven a pedir a la red.
+// Cada descarga nueva (un reintento) libera las URL de la anterior.
+export async function prefetchHandsAssets({ modelComplexity, onProgress }) {
+  prefetchedUrls.forEach((url) => URL.revokeObjectURL(url));
+  prefetchedUrls.clear();
+
+  const files = getRequiredFiles(modelComplexity);
+  const responses = await Promise.all(
+    files.map(async (file) => {
+      let response;
+      try {
+        response = await fetch(locateHandsFile(file));
+      } catch (err) {
+        throw createAssetError(file, err);
+      }
+      if (!response.ok) throw createAssetError(file, response.status);
+      // Muchos servidores (también el de Vite) responden con index.html a las
+      // rutas que no existen
+      if (response.headers.get("Content-Type")?.startsWith("text/html")) {
+        throw createAssetError(file, "html");
+      }
+      return { file, response };
+    })
+  );
+
+  // Sin Content-Length en algún archivo, el progreso se cuenta por archivos.
+  // Con compresión se leen más bytes de los anunciados: de ahí el Math.min.
+  const sizes = responses.map(({ response }) =>
+    Number(response.headers.get("Content-Length"))
+  );
+  const byBytes = sizes.every((size) => size > 0);
+  const total = byBytes
+    ? sizes.reduce((sum, size) => sum + size, 0)
+    : files.length;
+  let loaded = 0;
+  onProgress(0);
+
+  const blobs = await Promise.all(
+    responses.map(async ({ file, response }) => {
+      const chunks = [];
+      try {
+        const reader = response.body.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          chunks.push(value);
+          if (byBytes) {
+            loaded += value.length;
+            onProgress(Math.min(1, loaded / total));
+          }
+        }
+      } catch (err) {
+        throw createAssetError(file, err);
+      }
+      if (!byBytes) {
+        loaded += 1;
+        onProgress(loaded / total);
+      }
+      return new Blob(chunks, {
+        type: response.headers.get("Content-Type") ?? "",
+      });
+    })
+  );
+
+  files.forEach((file, i) => {
+    prefetchedUrls.set(file, URL.createObjectURL(blobs[i]));
+  });
+  return (file) => prefetchedUrls.get(file) ?? locateHandsFile(file);
+}
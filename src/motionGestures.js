@@ -0,0 +1,214 @@
+// =====================
+// Gestos en movimiento
+// =====================
+// Deslizar la mano a un lado, saludar y levantar la mano y mantenerla quieta se
+// reconocen por la trayectoria del centro de la palma en los últimos
+// fotogramas. Las distancias se miden en tamaños de palma (así no importa lo
+// lejos que esté la mano de la cámara) y las velocidades en palmas por segundo.
+
+import { HAND_LANDMARK_COUNT } from "./fingerCounting.js";
+
+// "Izquierda" y "derecha" desde el punto de vista de la persona
+export const MOTION_GESTURES = ["swipeLeft", "swipeRight", "wave", "raiseHold"];
+
+// Umbrales de cada movimiento. cooldownMs es la pausa tras reconocerlo en la
+// que no cuenta ningún otro movimiento, para que un gesto no se dispare varias
+// veces (el vaivén de un saludo o la vuelta de la mano tras deslizarla).
+export const MOTION_GESTURE_SETTINGS = {
+  // Recorrido horizontal en menos de windowMs, sin desviarse más de maxSlope
+  swipe: {
+    windowMs: 400,
+    minDistance: 1.5,
+    minSpeed: 4,
+    maxSlope: 0.5,
+    cooldownMs: 1000,
+  },
+  // Cambios de sentido con al menos minAmplitude de recorrido entre ellos
+  wave: {
+    windowMs: 1500,
+    minAmplitude: 0.4,
+    minReversals: 2,
+    cooldownMs: 1500,
+  },
+  // Subida de minRise en menos de windowMs y holdMs sin moverse más de maxDrift
+  raiseHold: {
+    windowMs: 800,
+    minRise: 1.2,
+    holdMs: 600,
+    maxDrift: 0.25,
+    cooldownMs: 2000,
+  },
+};
+
+// Sensibilidad elegida en las preferencias: multiplica distancias y velocidades
+export const MOTION_SENSITIVITIES = { low: 1.4, normal: 1, high: 0.7 };
+
+const THRESHOLD_KEYS = ["minDistance", "minSpeed", "minAmplitude", "minRise"];
+
+export function getMotionGestureSettings(sensitivity) {
+  const factor = MOTION_SENSITIVITIES[sensitivity] ?? 1;
+  return Object.fromEntries(
+    Object.entries(MOTION_GESTURE_SETTINGS).map(([motion, settings]) => [
+      motion,
+      Object.fromEntries(
+        Object.entries(settings).map(([key, value]) => [
+          key,
+          THRESHOLD_KEYS.includes(key) ? value * factor : value,
+        ])
+      ),
+    ])
+  );
+}
+
+const WRIST = 0;
+const INDEX_MCP = 5;
+const MIDDLE_MCP = 9;
+const PINKY_MCP = 17;
+
+// Centro de la palma y su tamaño, o null si la mano no está completa
+function getPalmPoint(landmarks, at) {
+  if (!landmarks || landmarks.length < HAND_LANDMARK_COUNT) return null;
+  const wrist = landmarks[WRIST];
+  const palm = Math.hypot(
+    landmarks[MIDDLE_MCP].x - wrist.x,
+    landmarks[MIDDLE_MCP].y - wrist.y
+  );
+  if (palm === 0) return null;
+  const base = [WRIST, INDEX_MCP, PINKY_MCP].map((id) => landmarks[id]);
+  return {
+    at,
+    x: base.reduce((sum, point) => sum + point.x, 0) / base.length,
+    y: base.reduce((sum, point) => sum + point.y, 0) / base.length,
+    palm,
+  };
+}
+
+// La imagen de la cámara frontal no está en espejo: si la mano va hacia la
+// derecha de la persona, en la imagen va hacia la izquierda (x decrece)
+function detectSwipe(
+  track,
+  last,
+  { windowMs, minDistance, minSpeed, maxSlope }
+) {
+  const start = track
+    .filter((point) => last.at - point.at <= windowMs && point.at < last.at)
+    .reduce(
+      (best, point) =>
+        !best || Math.abs(last.x - point.x) > Math.abs(last.x - best.x)
+          ? point
+          : best,
+      null
+    );
+  if (!start) return null;
+
+  const dx = (last.x - start.x) / last.palm;
+  const dy = (last.y - start.y) / last.palm;
+  const speed = Math.abs(dx) / ((last.at - start.at) / 1000);
+  if (
+    Math.abs(dx) < minDistance ||
+    speed < minSpeed ||
+    Math.abs(dy) > maxSlope * Math.abs(dx)
+  ) {
+    return null;
+  }
+  return dx < 0 ? "swipeRight" : "swipeLeft";
+}
+
+function detectWave(track, last, { windowMs, minAmplitude, minReversals }) {
+  const points = track.filter((point) => last.at - point.at <= windowMs);
+  let direction = 0; // Sentido actual en la imagen: 1, -1 o 0 si aún no hay
+  let extreme = points[0].x; // Punto más lejano en ese sentido
+  let reversals = 0;
+
+  for (const point of points) {
+    const moved = (point.x - extreme) / last.palm;
+    if (direction === 0) {
+      if (Math.abs(moved) >= minAmplitude) {
+        direction = Math.sign(moved);
+        extreme = point.x;
+      }
+    } else if (moved * direction > 0) {
+      extreme = point.x;
+    } else if (-moved * direction >= minAmplitude) {
+      direction = -direction;
+      extreme = point.x;
+      reversals += 1;
+    }
+  }
+  return reversals >= minReversals ? "wave" : null;
+}
+
+// still: primer punto del reposo actual
+function detectRaiseHold(track, last, still, { windowMs, minRise, holdMs }) {
+  if (last.at - still.at < holdMs) return null;
+  // En la imagen la y crece hacia abajo: se busca el punto más bajo de antes
+  const lowest = Math.max(
+    ...track
+      .filter((point) => point.at < still.at && still.at - point.at <= windowMs)
+      .map((point) => point.y)
+  );
+  return (lowest - last.y) / last.palm >= minRise ? "raiseHold" : null;
+}
+
+// push() recibe los landmarks de una mano en cada fotograma y devuelve el
+// movimiento de MOTION_GESTURES que se acaba de completar, o null. gestures
+// limita los movimientos a buscar (los que tienen un comando asignado).
+export function createMotionGestureDetector(
+  settings = MOTION_GESTURE_SETTINGS
+) {
+  const { swipe, wave, raiseHold } = settings;
+  const keepMs = Math.max(
+    swipe.windowMs,
+    wave.windowMs,
+    raiseHold.windowMs + raiseHold.holdMs
+  );
+  let track = []; // [{ at, x, y, palm }]
+  let still = null;
+  let blockedUntil = 0;
+
+  const detect = (last, gestures) => {
+    if (gestures.includes("wave")) {
+      const motion = detectWave(track, last, wave);
+      if (motion) return { motion, cooldownMs: wave.cooldownMs };
+    }
+    if (gestures.includes("swipeLeft") || gestures.includes("swipeRight")) {
+      const motion = detectSwipe(track, last, swipe);
+      if (motion && gestures.includes(motion)) {
+        return { motion, cooldownMs: swipe.cooldownMs };
+      }
+    }
+    if (gestures.includes("raiseHold")) {
+      const motion = detectRaiseHold(track, last, still, raiseHold);
+      if (motion) return { motion, cooldownMs: raiseHold.cooldownMs };
+    }
+    return null;
+  };
+
+  return {
+    push(landmarks, at, gestures = MOTION_GESTURES) {
+      const last = getPalmPoint(landmarks, at);
+      if (!last) return null;
+      track = [...track.filter((point) => at - point.at <= keepMs), last];
+
+      const drift = still
+        ? Math.hypot(last.x - still.x, last.y - still.y) / last.palm
+        : Infinity;
+      if (drift > raiseHold.maxDrift) still = last;
+
+      if (at < blockedUntil) return null;
+      const detected = detect(last, gestures);
+      if (!detected) return null;
+
+      // Se empieza de cero: lo ya recorrido no sirve para el siguiente gesto
+      track = [last];
+      still = last;
+      blockedUntil = at + detected.cooldownMs;
+      return detected.motion;
+    },
+    // Sin mano no hay trayectoria; la pausa tras el último gesto se mantiene
+    reset() {
+      track = [];
+      still = null;
+    },
+  };
+}
@@ -0,0 +1,280 @@
+// =====================
+// Rasgos de audio para el reconocedor local
+// =====================
+// El micrófono se remuestrea a 16 kHz y se corta en tramas de 25 ms cada 10 ms.
+// De cada trama salen su energía (para detectar cuándo se habla) y sus
+// coeficientes cepstrales en escala mel (MFCC), que es lo que se compara.
+
+export const FEATURE_SAMPLE_RATE = 16000;
+const FRAME_SIZE = 400; // 25 ms
+const HOP_SIZE = 160; // 10 ms
+const FFT_SIZE = 512;
+const MEL_BANDS = 26;
+const CEPSTRAL_COEFFICIENTS = 13; // El primero (energía) se descarta
+const PRE_EMPHASIS = 0.97;
+
+// Detección de voz (energías en dB)
+const SPEECH_START_DB = 12; // Sobre el ruido de fondo para empezar una frase
+const SPEECH_END_DB = 6; // Por debajo (sobre el ruido) cuenta como silencio
+const MIN_SPEECH_DB = -55; // Nada más bajo que esto es voz
+const START_FRAMES = 3; // Tramas seguidas sobre el umbral para empezar
+const END_SILENCE_FRAMES = 35; // 350 ms de silencio cierran la frase
+const PRE_ROLL_FRAMES = 10; // Lo oído justo antes del arranque también cuenta
+const MIN_UTTERANCE_FRAMES = 15;
+const MAX_UTTERANCE_FRAMES = 250; // 2,5 s: las frases de la gramática son cortas
+const NOISE_ADAPTATION = 0.05;
+const CALIBRATION_FRAMES = 20; // Primeros 200 ms: solo se mide el ruido
+
+const hammingWindow = Float32Array.from(
+  { length: FRAME_SIZE },
+  (_, i) => 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1))
+);
+
+function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+  return 700 * (10 ** (mel / 2595) - 1);
+}
+
+// Filtros triangulares repartidos de forma uniforme en la escala mel
+const melFilters = (() => {
+  const maxMel = hzToMel(FEATURE_SAMPLE_RATE / 2);
+  const bins = Array.from({ length: MEL_BANDS + 2 }, (_, i) =>
+    Math.floor(
+      ((FFT_SIZE + 1) * melToHz((maxMel * i) / (MEL_BANDS + 1))) /
+        FEATURE_SAMPLE_RATE
+    )
+  );
+
+  return Array.from({ length: MEL_BANDS }, (_, band) => {
+    const [left, center, right] = bins.slice(band, band + 3);
+    const weights = [];
+    for (let bin = left; bin < right; bin++) {
+      const weight =
+        bin < center
+          ? (bin - left) / Math.max(center - left, 1)
+          : (right - bin) / Math.max(right - center, 1);
+      weights.push([bin, weight]);
+    }
+    return weights;
+  });
+})();
+
+// FFT radix-2 en el sitio
+function fft(re, im) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tre = re[b] * cos - im[b] * sin;
+        const tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+}
+
+// { energyDb, mfcc } de una trama ya con pre-énfasis
+function analyzeFrame(frame) {
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  let energy = 0;
+
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    energy += frame[i] * frame[i];
+    re[i] = frame[i] * hammingWindow[i];
+  }
+  fft(re, im);
+
+  const power = (bin) => (re[bin] * re[bin] + im[bin] * im[bin]) / FFT_SIZE;
+  const logMel = melFilters.map((weights) =>
+    Math.log(
+      weights.reduce((sum, [bin, weight]) => sum + weight * power(bin), 0) +
+        1e-10
+    )
+  );
+
+  // DCT-II de las energías mel
+  const mfcc = [];
+  for (let c = 1; c < CEPSTRAL_COEFFICIENTS; c++) {
+    let sum = 0;
+    for (let band = 0; band < MEL_BANDS; band++) {
+      sum += logMel[band] * Math.cos((Math.PI * c * (band + 0.5)) / MEL_BANDS);
+    }
+    mfcc.push(sum);
+  }
+
+  return {
+    energyDb: 10 * Math.log10(energy / FRAME_SIZE + 1e-10),
+    mfcc,
+  };
+}
+
+// Recibe trozos de audio a la frecuencia del micrófono y llama a onFrame con
+// el análisis de cada trama de 10 ms
+export function createFeatureStream(inputSampleRate, onFrame) {
+  const step = inputSampleRate / FEATURE_SAMPLE_RATE;
+  let position = 0; // Posición del próximo remuestreo, relativa al trozo actual
+  let lastSample = 0;
+  let lastEmphasized = 0;
+  let buffer = [];
+
+  return function push(chunk) {
+    // Interpolación lineal; la posición -1 es la última muestra del trozo anterior
+    const sampleAt = (index) => (index < 0 ? lastSample : chunk[index]);
+    for (; position < chunk.length - 1; position += step) {
+      const base = Math.floor(position);
+      const fraction = position - base;
+      const sample =
+        sampleAt(base) * (1 - fraction) + sampleAt(base + 1) * fraction;
+      buffer.push(sample - PRE_EMPHASIS * lastEmphasized);
+      lastEmphasized = sample;
+    }
+    position -= chunk.length;
+    lastSample = chunk[chunk.length - 1] ?? lastSample;
+
+    while (buffer.length >= FRAME_SIZE) {
+      onFrame(analyzeFrame(buffer.slice(0, FRAME_SIZE)));
+      buffer = buffer.slice(HOP_SIZE);
+    }
+  };
+}
+
+// Resta la media de cada coeficiente: compensa el micrófono y la sala
+function normalizeUtterance(frames) {
+  const mean = frames[0].map(
+    (_, c) => frames.reduce((sum, frame) => sum + frame[c], 0) / frames.length
+  );
+  return frames.map((frame) =>
+    frame.map((value, c) => Math.round((value - mean[c]) * 100) / 100)
+  );
+}
+
+// Separa las frases del silencio con un umbral sobre el ruido de fondo, que se
+// va adaptando mientras nadie habla. onUtterance recibe los MFCC normalizados.
+export function createUtteranceDetector(onUtterance) {
+  let noiseDb = null;
+  let calibrated = 0;
+  let loudFrames = 0;
+  let silentFrames = 0;
+  let speaking = false;
+  let history = []; // Tramas previas al arranque
+  let utterance = [];
+
+  const finish = () => {
+    const frames = utterance.slice(0, utterance.length - silentFrames);
+    speaking = false;
+    utterance = [];
+    silentFrames = 0;
+    loudFrames = 0;
+    if (frames.length >= MIN_UTTERANCE_FRAMES) {
+      onUtterance(normalizeUtterance(frames));
+    }
+  };
+
+  return {
+    push({ energyDb, mfcc }) {
+      if (calibrated < CALIBRATION_FRAMES) {
+        calibrated += 1;
+        noiseDb =
+          noiseDb === null
+            ? energyDb
+            : noiseDb + (energyDb - noiseDb) / calibrated;
+        return;
+      }
+
+      if (!speaking) {
+        const loud =
+          energyDb > MIN_SPEECH_DB && energyDb > noiseDb + SPEECH_START_DB;
+        loudFrames = loud ? loudFrames + 1 : 0;
+        history = [...history, mfcc].slice(-PRE_ROLL_FRAMES);
+        if (!loud) {
+          noiseDb += NOISE_ADAPTATION * (energyDb - noiseDb);
+        } else if (loudFrames >= START_FRAMES) {
+          speaking = true;
+          utterance = history;
+          history = [];
+        }
+        return;
+      }
+
+      utterance.push(mfcc);
+      silentFrames =
+        energyDb < noiseDb + SPEECH_END_DB ? silentFrames + 1 : 0;
+      if (
+        silentFrames >= END_SILENCE_FRAMES ||
+        utterance.length >= MAX_UTTERANCE_FRAMES
+      ) {
+        finish();
+      }
+    },
+    isSpeaking: () => speaking,
+    // Cierra la frase en curso (al parar la escucha a mitad de frase)
+    flush() {
+      if (speaking) finish();
+    },
+    reset() {
+      speaking = false;
+      utterance = [];
+      history = [];
+      silentFrames = 0;
+      loudFrames = 0;
+    },
+  };
+}
+
+function frameDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return Math.sqrt(sum);
+}
+
+// Alineamiento temporal dinámico (DTW) entre dos frases, limitado a una banda
+// alrededor de la diagonal. Devuelve la distancia media por paso.
+export function dtwDistance(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return Infinity;
+  const band = Math.max(Math.abs(n - m), Math.ceil(0.3 * Math.max(n, m)));
+
+  let previous = new Float64Array(m + 1).fill(Infinity);
+  previous[0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    const row = new Float64Array(m + 1).fill(Infinity);
+    const center = Math.round((i * m) / n);
+    for (
+      let j = Math.max(1, center - band);
+      j <= Math.min(m, center + band);
+      j++
+    ) {
+      row[j] =
+        frameDistance(a[i - 1], b[j - 1]) +
+        Math.min(previous[j], row[j - 1], previous[j - 1]);
+    }
+    previous = row;
+  }
+
+  return previous[m] / (n + m);
+}
@@ -0,0 +1,28 @@
+// AudioWorklet del reconocedor local: junta los bloques de 128 muestras del
+// micrófono y los manda al hilo principal en trozos de ~20 ms.
+const CHUNK_SIZE = 1024;
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.chunk = new Float32Array(CHUNK_SIZE);
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (!channel) return true;
+
+    for (let i = 0; i < channel.length; i++) {
+      this.chunk[this.length++] = channel[i];
+      if (this.length === CHUNK_SIZE) {
+        this.port.postMessage(this.chunk);
+        this.chunk = new Float32Array(CHUNK_SIZE);
+        this.length = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("capture-processor", CaptureProcessor);
@@ -0,0 +1,52 @@
+import { createWebSpeechRecognizer, isWebSpeechSupported } from "./webSpeech.js";
+import {
+  createLocalRecognizer,
+  isLocalRecognitionSupported,
+  recordVoiceTemplate,
+} from "./local.js";
+
+// Motores de reconocimiento de voz intercambiables. Todos crean un objeto con:
+// - start(), stop() (entrega lo pendiente), abort() (lo descarta), dispose()
+// - setVocabulary([{ phrase, templates }]): frases que se pueden reconocer
+// - manejadores onstart(), onresult(text, isFinal), onerror(code), onend()
+//   con los códigos de error de Web Speech API ("no-speech", "not-allowed"…)
+export const SPEECH_BACKENDS = {
+  webSpeech: {
+    isSupported: isWebSpeechSupported,
+    create: createWebSpeechRecognizer,
+  },
+  local: {
+    isSupported: isLocalRecognitionSupported,
+    create: createLocalRecognizer,
+  },
+};
+
+export const DEFAULT_SPEECH_BACKEND = "webSpeech";
+
+export function isSpeechBackendSupported(backend) {
+  return Boolean(SPEECH_BACKENDS[backend]?.isSupported());
+}
+
+// El preferido si funciona en este navegador; si no, el primero que funcione
+export function resolveSpeechBackend(preferred) {
+  if (isSpeechBackendSupported(preferred)) return preferred;
+  return (
+    Object.keys(SPEECH_BACKENDS).find(isSpeechBackendSupported) ?? null
+  );
+}
+
+export function createRecognizer(backend, options) {
+  return SPEECH_BACKENDS[backend].create(options);
+}
+
+// Frases que el reconocedor local puede aprender: una por opción ("opción A")
+// y la primera forma de cada comando de la gramática
+export function getLocalVocabulary(grammar, optionLetters) {
+  const [optionWord] = grammar.optionWords;
+  return [
+    ...optionLetters.map((letter) => `${optionWord} ${letter.toLowerCase()}`),
+    ...Object.values(grammar.commands).map(([phrase]) => phrase),
+  ];
+}
+
+export { recordVoiceTemplate };
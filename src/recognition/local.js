@@ -0,0 +1,226 @@
+// =====================
+// Reconocedor local de vocabulario reducido
+// =====================
+// Funciona sin conexión y sin Web Speech API: escucha el micrófono con Web
+// Audio y compara cada frase con grabaciones que la persona hizo antes de las
+// frases de la gramática ("opción A", "sí", "repetir"…). Solo reconoce esas
+// frases, pero las reconoce en cualquier navegador con micrófono.
+import captureProcessorUrl from "./captureProcessor.js?url&no-inline";
+import {
+  createFeatureStream,
+  createUtteranceDetector,
+  dtwDistance,
+} from "./audioFeatures.js";
+
+// Sin frase en este tiempo la sesión termina con "no-speech", como en Web Speech
+const NO_SPEECH_TIMEOUT_MS = 8000;
+// Distancia DTW por encima de la cual nada se parece lo suficiente
+const MAX_MATCH_DISTANCE = 15;
+// La mejor frase debe quedar claramente por delante de la segunda
+const MAX_MATCH_RATIO = 0.85;
+
+export function isLocalRecognitionSupported() {
+  return (
+    typeof window !== "undefined" &&
+    Boolean(navigator.mediaDevices?.getUserMedia) &&
+    typeof window.AudioWorkletNode !== "undefined"
+  );
+}
+
+// Mismos códigos de error que Web Speech API
+function getMicrophoneErrorCode(err) {
+  return err?.name === "NotAllowedError" || err?.name === "SecurityError"
+    ? "not-allowed"
+    : "audio-capture";
+}
+
+function createRecognitionError(code) {
+  return Object.assign(new Error(`Reconocimiento local: ${code}`), { code });
+}
+
+// Abre el micrófono y entrega el audio a onChunk en trozos Float32Array
+async function openMicrophone(onChunk) {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true },
+  });
+  const context = new AudioContext();
+  const close = () => {
+    stream.getTracks().forEach((track) => track.stop());
+    context.close();
+  };
+
+  try {
+    await context.audioWorklet.addModule(captureProcessorUrl);
+    const node = new AudioWorkletNode(context, "capture-processor", {
+      numberOfOutputs: 0,
+    });
+    node.port.onmessage = (event) => onChunk(event.data);
+    context.createMediaStreamSource(stream).connect(node);
+  } catch (err) {
+    close();
+    throw err;
+  }
+
+  return { sampleRate: context.sampleRate, close };
+}
+
+// Frase del vocabulario más parecida a lo oído, o null si ninguna convence
+function matchUtterance(frames, vocabulary) {
+  const ranked = vocabulary
+    .map(({ phrase, templates }) => ({
+      phrase,
+      distance: Math.min(
+        ...templates.map((template) => dtwDistance(frames, template))
+      ),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+  console.log("🎙️ Reconocedor local:", ranked.slice(0, 3));
+
+  const [best, second] = ranked;
+  if (!best || best.distance > MAX_MATCH_DISTANCE) return null;
+  if (second && best.distance > MAX_MATCH_RATIO * second.distance) return null;
+  return best;
+}
+
+// Graba una frase para el vocabulario: resuelve con sus rasgos en cuanto se
+// oye una, o falla con code "no-speech" si no se dice nada a tiempo
+export async function recordVoiceTemplate({ timeoutMs = 5000 } = {}) {
+  let resolveUtterance;
+  const utterance = new Promise((resolve) => {
+    resolveUtterance = resolve;
+  });
+  const detector = createUtteranceDetector(resolveUtterance);
+
+  let push = null;
+  let microphone;
+  try {
+    microphone = await openMicrophone((chunk) => push?.(chunk));
+  } catch (err) {
+    throw createRecognitionError(getMicrophoneErrorCode(err));
+  }
+  push = createFeatureStream(microphone.sampleRate, (frame) =>
+    detector.push(frame)
+  );
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(createRecognitionError("no-speech")),
+      timeoutMs
+    );
+  });
+
+  try {
+    return await Promise.race([utterance, timeout]);
+  } finally {
+    clearTimeout(timer);
+    microphone.close();
+  }
+}
+
+// Misma forma que el adaptador de Web Speech (ver ./index.js). El micrófono
+// sigue abierto entre frases y se cierra con stop() o dispose().
+export function createLocalRecognizer() {
+  let vocabulary = [];
+  let session = null; // { started, noSpeechTimer }
+  let microphone = null; // Promesa del micrófono abierto
+  let pushAudio = null;
+
+  const recognizer = {
+    onstart: null,
+    onresult: null,
+    onerror: null,
+    onend: null,
+    start,
+    stop,
+    abort,
+    dispose,
+    setVocabulary(entries) {
+      vocabulary = entries.filter((entry) => entry.templates.length > 0);
+    },
+  };
+
+  const emit = (handler, ...args) => recognizer[handler]?.(...args);
+
+  const detector = createUtteranceDetector((frames) => {
+    if (!session?.started) return;
+    const match = matchUtterance(frames, vocabulary);
+    if (match) emit("onresult", match.phrase, true);
+    endSession();
+  });
+
+  function endSession(error) {
+    if (!session) return;
+    clearTimeout(session.noSpeechTimer);
+    session = null;
+    detector.reset();
+    if (error) emit("onerror", error);
+    emit("onend");
+  }
+
+  function openOnce() {
+    if (!microphone) {
+      microphone = openMicrophone((chunk) => {
+        if (session?.started) pushAudio?.(chunk);
+      }).then((opened) => {
+        pushAudio = createFeatureStream(opened.sampleRate, (frame) =>
+          detector.push(frame)
+        );
+        return opened;
+      });
+      // Si falla, el siguiente start() lo vuelve a intentar
+      microphone.catch(() => {
+        microphone = null;
+      });
+    }
+    return microphone;
+  }
+
+  function releaseMicrophone() {
+    microphone?.then((opened) => opened.close(), () => {});
+    microphone = null;
+    pushAudio = null;
+  }
+
+  function start() {
+    if (session) {
+      throw new DOMException("Ya se está escuchando", "InvalidStateError");
+    }
+
+    const current = { started: false, noSpeechTimer: null };
+    session = current;
+    openOnce().then(
+      () => {
+        // Abortada mientras se abría el micrófono
+        if (session !== current) return;
+        current.started = true;
+        current.noSpeechTimer = setTimeout(() => {
+          if (!detector.isSpeaking()) endSession("no-speech");
+        }, NO_SPEECH_TIMEOUT_MS);
+        emit("onstart");
+      },
+      (err) => {
+        if (session === current) endSession(getMicrophoneErrorCode(err));
+      }
+    );
+  }
+
+  // Entrega lo que se estuviera diciendo y suelta el micrófono
+  function stop() {
+    detector.flush();
+    endSession();
+    releaseMicrophone();
+  }
+
+  // Descarta lo que se estuviera diciendo; el micrófono sigue abierto
+  function abort() {
+    endSession("aborted");
+  }
+
+  function dispose() {
+    abort();
+    releaseMicrophone();
+  }
+
+  return recognizer;
+}
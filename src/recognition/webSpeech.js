@@ -0,0 +1,60 @@
+// =====================
+// Reconocedor del navegador (Web Speech API)
+// =====================
+// Dictado libre en el idioma activo. En Chrome y Safari suele depender de un
+// servicio en la nube, así que necesita conexión.
+
+function getSpeechRecognition() {
+  if (typeof window === "undefined") return null;
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+export function isWebSpeechSupported() {
+  return getSpeechRecognition() !== null;
+}
+
+export function createWebSpeechRecognizer({ lang }) {
+  const SpeechRecognition = getSpeechRecognition();
+  const recognition = new SpeechRecognition();
+  recognition.continuous = false; // Mantenemos false para controlar mejor el reinicio
+  recognition.interimResults = true;
+  recognition.lang = lang;
+  recognition.maxAlternatives = 1;
+
+  const recognizer = {
+    onstart: null,
+    onresult: null,
+    onerror: null,
+    onend: null,
+    start: () => recognition.start(),
+    stop: () => recognition.stop(),
+    abort: () => recognition.abort(),
+    dispose: () => recognition.abort(),
+    // Dicta cualquier cosa; la gramática se aplica al interpretar el texto
+    setVocabulary() {},
+  };
+
+  recognition.onstart = () => recognizer.onstart?.();
+  recognition.onerror = (event) => recognizer.onerror?.(event.error);
+  recognition.onend = () => recognizer.onend?.();
+  recognition.onresult = (event) => {
+    let finalTranscript = "";
+    let interimTranscript = "";
+
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const transcriptPart = event.results[i][0].transcript;
+      if (event.results[i].isFinal) {
+        finalTranscript += transcriptPart;
+      } else {
+        interimTranscript += transcriptPart;
+      }
+    }
+
+    recognizer.onresult?.(
+      finalTranscript || interimTranscript,
+      Boolean(finalTranscript)
+    );
+  };
+
+  return recognizer;
+}
@@ -0,0 +1,261 @@
+// =====================
+// Interpretación de comandos de voz
+// =====================
+// Convierte lo que reconoce el micrófono en un comando (índice de opción o
+// nombre de comando: "repeat", "confirm", "soundOff"…) con una confianza
+// entre 0 y 1. El vocabulario de cada idioma vive en src/i18n (clave `voice`).
+
+// Por debajo de esta confianza el resultado se descarta
+export const MIN_VOICE_CONFIDENCE = 0.5;
+// Si las dos mejores opciones están más cerca que esto, se pide aclaración
+const AMBIGUITY_MARGIN = 0.15;
+// Parecido mínimo entre dos palabras para considerarlas la misma
+const MIN_WORD_SIMILARITY = 0.75;
+// Palabras más cortas ("la", "de", "es") no sirven para reconocer una opción por su texto
+const MIN_CONTENT_WORD_LENGTH = 3;
+
+// Minúsculas, sin acentos ni signos de puntuación, para comparar frases dichas y oídas
+export function normalizeSpeechText(text) {
+  return text
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    // "it's" se oye igual que "its": el apóstrofo no separa palabras
+    .replace(/['’]/g, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function tokenize(text) {
+  const normalized = normalizeSpeechText(text);
+  return normalized ? normalized.split(" ") : [];
+}
+
+// Distancia de edición (inserciones, borrados y sustituciones)
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        previous[j] + 1,
+        row[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = row;
+  }
+
+  return previous[b.length];
+}
+
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// Posición de `phrase` (lista de palabras) dentro de `tokens`, o -1
+function findPhrase(tokens, phrase) {
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((word, j) => tokens[i + j] === word)) return i;
+  }
+  return -1;
+}
+
+function normalizeForms(forms) {
+  return forms.map((alternatives) => alternatives.map(normalizeSpeechText));
+}
+
+// "sí", "repetir pregunta"…: frase completa o contenida en lo dicho
+function matchSpecialCommands(tokens, grammar) {
+  const candidates = [];
+
+  for (const [command, phrases] of Object.entries(grammar.commands)) {
+    for (const phrase of phrases) {
+      const words = tokenize(phrase);
+      if (findPhrase(tokens, words) === -1) continue;
+
+      const confidence =
+        words.length === tokens.length ? 1 : words.length > 1 ? 0.8 : 0.65;
+      candidates.push({ command, confidence });
+    }
+  }
+
+  return candidates;
+}
+
+// "opción B", "la segunda", "tres", "B", "creo que es la B"…
+function matchOptionReferences(tokens, optionCount, grammar) {
+  const optionWords = grammar.optionWords.map(normalizeSpeechText);
+  const letterLeadWords = grammar.letterLeadWords.map(normalizeSpeechText);
+  const letters = normalizeForms(grammar.letters);
+  const ordinals = normalizeForms(grammar.ordinals);
+  const numbers = normalizeForms(grammar.numbers);
+  const candidates = [];
+
+  tokens.forEach((token, position) => {
+    const nextToOptionWord =
+      optionWords.includes(tokens[position - 1]) ||
+      optionWords.includes(tokens[position + 1]);
+    const alone =
+      tokens.length === 1 || (tokens.length === 2 && nextToOptionWord);
+    // "la a", "it's b": la letra cierra la frase justo después de "la", "es"…
+    const afterLeadWord =
+      position === tokens.length - 1 &&
+      letterLeadWords.includes(tokens[position - 1]);
+
+    for (let i = 0; i < optionCount; i++) {
+      const isLetter = letters[i]?.includes(token);
+      const isWord =
+        token === String(i + 1) ||
+        ordinals[i]?.includes(token) ||
+        numbers[i]?.includes(token);
+
+      if (isWord) {
+        if (alone) {
+          candidates.push({
+            command: i,
+            confidence: nextToOptionWord ? 1 : 0.9,
+          });
+        } else {
+          // "creo que la segunda"
+          candidates.push({
+            command: i,
+            confidence: nextToOptionWord ? 0.9 : 0.6,
+          });
+        }
+      } else if (isLetter) {
+        // El nombre de una letra ("de", "be", "see") también es una palabra
+        // corriente, y una letra suelta dentro de una frase casi siempre es
+        // otra cosa ("a"): sin "opción" o "la" delante solo vale la letra sola
+        if (nextToOptionWord) {
+          candidates.push({ command: i, confidence: alone ? 1 : 0.9 });
+        } else if (afterLeadWord || (alone && token.length === 1)) {
+          candidates.push({ command: i, confidence: 0.9 });
+        }
+      }
+    }
+  });
+
+  return candidates;
+}
+
+// Palabras que sirven para reconocer una opción por su texto
+function contentWords(tokens, ignored) {
+  return tokens.filter(
+    (token) =>
+      token.length >= MIN_CONTENT_WORD_LENGTH && !ignored.includes(token)
+  );
+}
+
+// La opción entera dentro de lo dicho ("creo que es sin vibración"). Si una
+// opción contiene a otra ("vibración" y "sin vibración") gana la más larga.
+function matchWholeOptions(tokens, options) {
+  const found = options
+    .map((option, i) => ({ command: i, words: tokenize(option) }))
+    .filter(
+      ({ words }) => words.length > 0 && findPhrase(tokens, words) !== -1
+    );
+  const longest = Math.max(0, ...found.map(({ words }) => words.length));
+
+  return found
+    .filter(({ words }) => words.length === longest)
+    .map(({ command }) => ({ command, confidence: 0.95 }));
+}
+
+// Decir parte del texto de la opción: cada palabra dicha se compara (con
+// tolerancia a errores del reconocedor) con las palabras de cada opción.
+// Cuenta sobre todo que lo dicho encaje; cubrir más de la opción desempata.
+function matchOptionTexts(tokens, options, grammar) {
+  const ignored = [...grammar.optionWords, ...grammar.fillerWords].map(
+    normalizeSpeechText
+  );
+  const spoken = contentWords(tokens, ignored);
+  if (spoken.length === 0) return [];
+
+  return options
+    .map((option, i) => {
+      const words = contentWords(tokenize(option), ignored);
+      const similarity = (token) =>
+        Math.max(0, ...words.map((word) => wordSimilarity(token, word)));
+
+      const matched = spoken.reduce((sum, token) => {
+        const best = similarity(token);
+        return sum + (best >= MIN_WORD_SIMILARITY ? best : 0);
+      }, 0);
+      if (matched === 0) return { command: i, confidence: 0 };
+
+      const covered = words.filter((word) =>
+        spoken.some(
+          (token) => wordSimilarity(token, word) >= MIN_WORD_SIMILARITY
+        )
+      ).length;
+      const score =
+        0.8 * (matched / spoken.length) + 0.2 * (covered / words.length);
+      // Nunca tan seguro como nombrar la opción explícitamente
+      return { command: i, confidence: 0.9 * score };
+    })
+    .filter((candidate) => candidate.confidence > 0);
+}
+
+// Devuelve { command, confidence, ambiguous, candidates, original }.
+// Si dos opciones encajan casi igual, command es null, ambiguous es true y
+// candidates lista los índices entre los que hay que preguntar.
+export function parseVoiceCommand(
+  text,
+  { optionCount, options = [], grammar }
+) {
+  const tokens = tokenize(text);
+  const result = {
+    command: null,
+    confidence: 0,
+    ambiguous: false,
+    candidates: [],
+    original: text,
+  };
+  if (tokens.length === 0) return result;
+
+  // Mejor confianza por comando; a igualdad gana el primero encontrado
+  // (los comandos especiales van antes que las opciones). Si se dijo una
+  // opción entera, las coincidencias parciales con otras no compiten con ella.
+  const questionOptions = options.slice(0, optionCount);
+  const wholeOptions = matchWholeOptions(tokens, questionOptions);
+  const best = new Map();
+  for (const candidate of [
+    ...matchSpecialCommands(tokens, grammar),
+    ...matchOptionReferences(tokens, optionCount, grammar),
+    ...(wholeOptions.length > 0
+      ? wholeOptions
+      : matchOptionTexts(tokens, questionOptions, grammar)),
+  ]) {
+    if ((best.get(candidate.command) ?? 0) < candidate.confidence) {
+      best.set(candidate.command, candidate.confidence);
+    }
+  }
+
+  const ranked = [...best]
+    .map(([command, confidence]) => ({ command, confidence }))
+    .filter((candidate) => candidate.confidence >= MIN_VOICE_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const [top] = ranked;
+  if (!top) return result;
+
+  const rivals = ranked.filter(
+    (candidate) =>
+      typeof candidate.command === "number" &&
+      top.confidence - candidate.confidence < AMBIGUITY_MARGIN
+  );
+  if (typeof top.command === "number" && rivals.length > 1) {
+    return {
+      ...result,
+      confidence: top.confidence,
+      ambiguous: true,
+      candidates: rivals.map((candidate) => candidate.command),
+    };
+  }
+
+  return { ...result, command: top.command, confidence: top.confidence };
+}
@@ -0,0 +1,53 @@
+// =====================
+// Conteo de dedos y posturas sobre landmarks de ejemplo
+// =====================
+// Cada fichero de fixtures/hands tiene muestras de una mano (de la persona) en
+// una orientación: la etiqueta que daría MediaPipe, los 21 puntos normalizados
+// (x e y entre 0 y 1, y hacia abajo, z relativa a la muñeca) y lo que se
+// espera. Para añadir una captura de la cámara basta con volcar
+// multiHandLandmarks[i] y multiHandedness[i].label con el mismo formato.
+
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+
+import { countFingers, detectNamedPoses } from "../src/fingerCounting.js";
+
+const FIXTURES = new URL("./fixtures/hands/", import.meta.url);
+
+const fixtures = readdirSync(FIXTURES)
+  .filter((file) => file.endsWith(".json"))
+  .map((file) => ({
+    file,
+    ...JSON.parse(readFileSync(new URL(file, FIXTURES), "utf8")),
+  }));
+
+describe("countFingers", () => {
+  it("tiene muestras de las dos manos", () => {
+    const hands = new Set(fixtures.map((fixture) => fixture.hand));
+    assert.deepEqual([...hands].sort(), ["left", "right"]);
+  });
+
+  fixtures.forEach(({ file, handedness, samples }) => {
+    samples.forEach(({ pose, rotation, fingers, landmarks }) => {
+      it(`${file}: ${pose} (${rotation}°)`, () => {
+        assert.deepEqual(countFingers(landmarks, handedness), fingers);
+      });
+    });
+  });
+
+  it("devuelve [] si faltan puntos", () => {
+    assert.deepEqual(countFingers([]), []);
+    assert.deepEqual(countFingers(null), []);
+  });
+});
+
+describe("detectNamedPoses", () => {
+  fixtures.forEach(({ file, handedness, samples }) => {
+    samples.forEach(({ pose, rotation, namedPoses, landmarks }) => {
+      it(`${file}: ${pose} (${rotation}°)`, () => {
+        assert.deepEqual(detectNamedPoses(landmarks, handedness), namedPoses);
+      });
+    });
+  });
+});
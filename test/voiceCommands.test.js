@@ -0,0 +1,68 @@
+// =====================
+// Interpretación de comandos de voz
+// =====================
+// Frases como las que devuelve el reconocedor, contra la gramática real de
+// cada idioma (src/i18n) y una pregunta de cuatro opciones.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import en from "../src/i18n/en.js";
+import es from "../src/i18n/es.js";
+import { parseVoiceCommand } from "../src/voiceCommands.js";
+
+const OPTIONS = ["Visual", "Auditivo", "Háptico", "Gustativo"];
+
+const parse = (text, catalog = es, options = OPTIONS) =>
+  parseVoiceCommand(text, {
+    optionCount: options.length,
+    options,
+    grammar: catalog.voice,
+  });
+
+describe("parseVoiceCommand", () => {
+  it("no confunde «uno» con «no»", () => {
+    assert.equal(parse("uno").command, 0);
+    assert.equal(parse("no").command, "cancel");
+  });
+
+  it("una «a» dentro de una frase no elige la opción A", () => {
+    for (const text of ["voy a pensarlo", "a ver", "espera a que lea"]) {
+      assert.equal(parse(text).command, null, text);
+    }
+    assert.equal(parse("I want a moment", en).command, null);
+  });
+
+  it("«de» sola no es la opción D", () => {
+    assert.equal(parse("de").command, null);
+    assert.equal(parse("opción de").command, 3);
+  });
+
+  it("reconoce la letra sola, tras «opción» o al final tras «la»", () => {
+    assert.equal(parse("b").command, 1);
+    assert.equal(parse("letra c").command, 2);
+    assert.equal(parse("la a").command, 0);
+    assert.equal(parse("creo que es la de").command, 3);
+    assert.equal(parse("I think it's b", en).command, 1);
+  });
+
+  it("reconoce una opción por su texto", () => {
+    assert.equal(parse("gustativo").command, 3);
+    assert.equal(parse("creo que gustativo").command, 3);
+  });
+
+  it("pide aclaración si dos opciones encajan casi igual", () => {
+    const result = parse("vibración", es, [
+      "Vibración corta",
+      "Vibración larga",
+      "Sonido",
+    ]);
+    assert.equal(result.command, null);
+    assert.equal(result.ambiguous, true);
+    assert.deepEqual(result.candidates.sort(), [0, 1]);
+  });
+
+  it("devuelve null si no se dijo nada", () => {
+    assert.equal(parse("").command, null);
+  });
+});
@@ -1,7 +1,57 @@
+import { createReadStream, readdirSync, readFileSync, statSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Archivos de MediaPipe Hands (wasm, modelos y datos) servidos desde el propio
+// origen en `${base}mediapipe/hands/`, para que los gestos funcionen sin CDN.
+// Ver src/mediapipeAssets.js.
+const MEDIAPIPE_HANDS_PATH = 'mediapipe/hands'
+const MEDIAPIPE_CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+}
+
+function mediapipeHandsAssets() {
+  const dir = path.dirname(
+    createRequire(import.meta.url).resolve('@mediapipe/hands')
+  )
+  // hands.js va en el bundle; el resto lo pide MediaPipe por su nombre
+  const files = readdirSync(dir).filter((file) =>
+    /(\.(wasm|data|tflite|binarypb)|_(loader|wasm_bin)\.js)$/.test(file)
+  )
+
+  return {
+    name: 'mediapipe-hands-assets',
+    configureServer(server) {
+      const route = `${server.config.base}${MEDIAPIPE_HANDS_PATH}`
+      server.middlewares.use(route, (req, res, next) => {
+        const file = decodeURIComponent(req.url.split('?')[0].slice(1))
+        if (!files.includes(file)) return next()
+        const filePath = path.join(dir, file)
+        res.setHeader(
+          'Content-Type',
+          MEDIAPIPE_CONTENT_TYPES[path.extname(file)] ??
+            'application/octet-stream'
+        )
+        res.setHeader('Content-Length', statSync(filePath).size)
+        createReadStream(filePath).pipe(res)
+      })
+    },
+    generateBundle() {
+      for (const file of files) {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${MEDIAPIPE_HANDS_PATH}/${file}`,
+          source: readFileSync(path.join(dir, file)),
+        })
+      }
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mediapipeHandsAssets()],
 })